@@ -110,7 +110,8 @@ PLANET_PNG_BY_KEY = {
     time  = normalize_time(time_raw) || "12:00"
     place = place_text.presence || typed_loc
 
-    redirect_to chart_result_path(name: name, date: date_input, time: time, place: place)
+    redirect_to chart_result_path(name: name, date: date_input, time: time, place: place,
+                                  tz: p[:tz].presence, lat: p[:lat].presence, lng: p[:lng].presence)
   end
 
   def ready
@@ -133,7 +134,6 @@ PLANET_PNG_BY_KEY = {
     date  = params[:date].to_s
     time  = params[:time].presence || "12:00"
     place = params[:place].to_s
-    tz    = params[:tz].presence || "UTC"
 
     cli = Rails.root.join("lib/hdkit/cli.mjs")
     node_bin = `which node`.to_s.strip
@@ -145,15 +145,16 @@ PLANET_PNG_BY_KEY = {
       "--date=#{date}",
       "--time=#{time}",
       "--place=#{place}",
-      "--tz=#{tz}",
+      *zone_args,
+      *calc_args,
       "--debug=true"
     ]
 
     out, err, status = Open3.capture3(*cmd)
 
     unless status.success? && out.present?
-      return render plain: "Chart generator error:\n#{err.presence || out.presence || 'no output'}",
-                  status: :bad_gateway
+      message, http_status = engine_error(err, out, status)
+      return render plain: message, status: http_status
     end
 
     data = JSON.parse(out)
@@ -173,9 +174,13 @@ Rails.logger.debug "ALL DATA KEYS FROM NODE: #{data.keys.inspect}"
       strategy: data["strategy"],
       signature: data["signature"] || signature_for(data["type"]),
       not_self: data["notSelf"] || data["not_self"],
-      cross: full_incarnation_cross(data),
+      cross: data["cross"],
+      design_date: data["designDateLocal"],
+      calculation: data["calculation"],
       design_planets: data["designPlanets"] || [],
       personality_planets: data["personalityPlanets"] || [],
+      design_markers: fixing_markers(data["designActivations"]),
+      personality_markers: fixing_markers(data["personalityActivations"]),
       svg: data["svg"].to_s
     }
 
@@ -193,7 +198,6 @@ Rails.logger.debug "ALL DATA KEYS FROM NODE: #{data.keys.inspect}"
     date  = params[:date].to_s
     time  = params[:time].presence || "12:00"
     place = params[:place].to_s
-    tz    = params[:tz].presence || @chart&.timezone_iana || "UTC"
 
 
     # --- Normalize date to ISO (YYYY-MM-DD) ---
@@ -202,10 +206,6 @@ Rails.logger.debug "ALL DATA KEYS FROM NODE: #{data.keys.inspect}"
       dd, mm, yyyy = date_normalized.scan(/\d+/)
       date_normalized = "#{yyyy}-#{mm}-#{dd}"
     end
-    yr = date_normalized[0,4].to_i
-    if yr < 1800 || yr > 2050
-      return render plain: "Sorry — supported years are 1800–2050.", status: :unprocessable_entity
-    end
 
 
     #---------------------------------------------------------
@@ -220,14 +220,15 @@ Rails.logger.debug "ALL DATA KEYS FROM NODE: #{data.keys.inspect}"
       "--date=#{date_normalized}",
       "--time=#{time}",
       "--place=#{place}",
-      "--tz=#{tz}",
+      *zone_args,
+      *calc_args,
       "--debug=#{debug_flag}"
     ]
     out, err, status = Open3.capture3(*cmd)
 
     unless status.success? && out.present?
-      render plain: "Chart generator error:\n#{err.presence || out.presence || 'no output'}",
-             status: :bad_gateway and return
+      message, http_status = engine_error(err, out, status)
+      render plain: message, status: http_status and return
     end
 
     #---------------------------------------------------------
@@ -253,6 +254,8 @@ Rails.logger.debug "ALL DATA KEYS FROM NODE: #{data.keys.inspect}"
       cross:               data["cross"],
       design_planets:      (data["designPlanets"] || []),
       personality_planets: (data["personalityPlanets"] || []),
+      design_markers:      fixing_markers(data["designActivations"]),
+      personality_markers: fixing_markers(data["personalityActivations"]),
       svg:                 data["svg"].to_s
     }
 
@@ -275,23 +278,7 @@ Rails.logger.debug "ALL DATA KEYS FROM NODE: #{data.keys.inspect}"
     #---------------------------------------------------------
     # HEADER (logo + titles)
     #---------------------------------------------------------
-    font_dir = Rails.root.join("app/assets/fonts")
-    font_paths = {
-      normal: font_dir.join("OpenSans-Regular.ttf"),
-      italic: font_dir.join("OpenSans-Italic.ttf"),
-      bold:   font_dir.join("OpenSans-SemiBold.ttf")
-    }
-    missing = font_paths.select { |_k, p| !File.exist?(p) }
-    if missing.empty?
-      pdf.font_families.update(
-        "Open Sans" => {
-          normal: font_paths[:normal].to_s,
-          italic: font_paths[:italic].to_s,
-          bold:   font_paths[:bold].to_s
-        }
-      )
-      pdf.font "Open Sans"
-    end
+    register_pdf_fonts(pdf)
 
  
 
@@ -340,34 +327,8 @@ Rails.logger.debug "ALL DATA KEYS FROM NODE: #{data.keys.inspect}"
     esc  = ->(v) { ERB::Util.h((v || "").to_s) }
     mk   = ->(title, value) { "#{title}:#{nbsp * 2}<b>#{esc.call(value)}</b>" }
 
-    # Angle + four gates (for cross lookup)
-    cross_text = chart[:cross].to_s
-    angle_code =
-      if    cross_text =~ /right angle/i   then "R"
-      elsif cross_text =~ /juxtaposition/i then "J"
-      elsif cross_text =~ /left angle/i    then "L"
-      end
-    def gate_from(pairs, planet_name)
-      v = pairs.to_h[planet_name]
-      return nil unless v
-      v.to_s[/\d+/].to_i
-    end
-    psun   = gate_from(chart[:personality_planets], "Sun")
-    pearth = gate_from(chart[:personality_planets], "Earth")
-    dsun   = gate_from(chart[:design_planets],      "Sun")
-    dearth = gate_from(chart[:design_planets],      "Earth")
-    gates  = [psun, pearth, dsun, dearth].compact
-
-    row =
-      if angle_code && gates.size == 4 && gates.all?(&:positive?)
-        IncarnationCrossIndex.find(angle: angle_code, gates: gates)
-      end
-    full_text =
-      if row
-        "(#{row.g1}/#{row.g2} | #{row.g3}/#{row.g4})".then { |sig| "#{row.description} #{sig}" }
-      else
-        chart[:cross]
-      end
+    # Full cross name with its four gates, resolved by the engine
+    full_text = chart[:cross]
 
     pairs = [
       ["Type",             chart[:type]],
@@ -451,7 +412,7 @@ Rails.logger.debug "ALL DATA KEYS FROM NODE: #{data.keys.inspect}"
       }
       # turn [planet, value] into [image_cell, value]
       rows_with_icons = rows.map do |name, gl|
-          [icon_cell(pdf, name, icon_width_px: 18), "<b>#{gl}</b>"]
+          [icon_cell(pdf, name, icon_width_px: 18), "<b>#{gl}</b>#{chart[:design_markers][name]}"]
       end
 
       pdf.indent(indent_x) do
@@ -504,7 +465,7 @@ Rails.logger.debug "ALL DATA KEYS FROM NODE: #{data.keys.inspect}"
 
       # Build the rows with an image cell in column 1
       rows_with_icons = rows.map do |name, gl|
-         ["<b>#{gl}</b>", icon_cell(pdf, name, icon_width_px: 18)]
+         ["<b>#{gl}</b>#{chart[:personality_markers][name]}", icon_cell(pdf, name, icon_width_px: 18)]
       end   
 
 
@@ -586,9 +547,70 @@ Rails.logger.debug "ALL DATA KEYS FROM NODE: #{data.keys.inspect}"
   end
 
 
+  # Zone flags for the Node CLI: an explicit tz wins, otherwise the engine
+  # resolves the zone offline from the birthplace coordinates. With neither,
+  # no flag is sent: the engine looks --place up in its gazetteer or fails
+  # with UNKNOWN_PLACE / ZONE_REQUIRED (shown as a 422), never a silent UTC.
+  def zone_args
+    if params[:tz].present?
+      ["--tz=#{params[:tz]}"]
+    elsif params[:lat].present? && params[:lng].present?
+      ["--lat=#{params[:lat]}", "--lng=#{params[:lng]}"]
+    else
+      []
+    end
+  end
+
+  # The Node CLI reports failures as one JSON line on stderr,
+  # {"error":{"code","field","message"}}; exit codes 2–4 are bad input
+  # (malformed, unknown zone/place, outside 1800–2050), anything else is ours.
+  def engine_error(err, out, status)
+    error = (JSON.parse(err.to_s.lines.last.to_s)["error"] rescue nil)
+    if error && (2..4).cover?(status.exitstatus)
+      ["Sorry — #{error['message']}", :unprocessable_entity]
+    else
+      Rails.logger.error "[HDKIT] #{error&.fetch('code', nil) || 'engine failure'}: #{err.presence || out.presence}"
+      ["Chart generator error:\n#{error&.fetch('message', nil) || err.presence || out.presence || 'no output'}", :bad_gateway]
+    end
+  end
+
+  # Open Sans for the text, with DejaVu Sans as the fallback for glyphs Open
+  # Sans lacks: the ▲ ▼ ✱ fixing markers in the planet tables
+  PDF_FONT_DIR = Rails.root.join("app/assets/fonts")
+  PDF_FONTS = {
+    "Open Sans"  => { normal: "OpenSans-Regular.ttf", italic: "OpenSans-Italic.ttf", bold: "OpenSans-SemiBold.ttf" },
+    "DejaVuSans" => { normal: "DejaVuSans.ttf",       italic: "DejaVuSans.ttf",      bold: "DejaVuSans-Bold.ttf" }
+  }.freeze
+
+  def register_pdf_fonts(pdf)
+    families = PDF_FONTS.to_h do |family, files|
+      [family, files.transform_values { |f| PDF_FONT_DIR.join(f).to_s }]
+    end.select { |_family, paths| paths.values.all? { |p| File.exist?(p) } }
+
+    pdf.font_families.update(families)
+    pdf.font "Open Sans" if families.key?("Open Sans")
+    pdf.fallback_fonts(["DejaVuSans"]) if families.key?("DejaVuSans")
+    families.keys
+  end
+
+  # planet => "▲" (exalted), "▼" (detriment) or "✱" (both), from the engine's
+  # activation rows; planets with neither are left out
+  def fixing_markers(activations)
+    Array(activations).each_with_object({}) do |a, h|
+      marker = a.dig("fixing", "marker")
+      h[a["planet"]] = marker if marker
+    end
+  end
+
+  # Calculation profile for the Node CLI (jovian, precise, mean-node); the
+  # engine default when none is given
+  def calc_args
+    params[:calc].present? ? ["--calc=#{params[:calc]}"] : []
+  end
+
   # Strong params (unscoped form version)
   def chart_params
-    params.permit(:name, :date, :date_iso, :time, :location, :place_id, :place_text, :lat, :lng)
+    params.permit(:name, :date, :date_iso, :time, :location, :place_id, :place_text, :lat, :lng, :tz, :calc)
   end
 
   # Normalizes "H", "HH", "HHMM", "HH:MM" -> "HH:MM" or nil
@@ -631,40 +653,4 @@ def signature_for(type)
   end
 end
 
-  def full_incarnation_cross(chart)
-    cross_text = chart["cross"].to_s
-
-    angle_code =
-      if cross_text =~ /right angle/i
-        "R"
-      elsif cross_text =~ /juxtaposition/i
-        "J"
-      elsif cross_text =~ /left angle/i
-        "L"
-      end
-
-    gate_from = ->(pairs, planet_name) do
-      v = pairs.to_h[planet_name]
-      return nil unless v
-      v.to_s[/\d+/].to_i
-    end
-
-    psun   = gate_from.call(chart["personalityPlanets"] || [], "Sun")
-    pearth = gate_from.call(chart["personalityPlanets"] || [], "Earth")
-    dsun   = gate_from.call(chart["designPlanets"] || [], "Sun")
-    dearth = gate_from.call(chart["designPlanets"] || [], "Earth")
-
-    gates = [psun, pearth, dsun, dearth].compact
-
-    row =
-      if angle_code && gates.size == 4 && gates.all?(&:positive?)
-        IncarnationCrossIndex.find(angle: angle_code, gates: gates)
-      end
-
-    if row
-      "#{row.description} (#{row.g1}/#{row.g2} | #{row.g3}/#{row.g4})"
-    else
-      chart["cross"]
-    end
-  end
 end
@@ -0,0 +1,40 @@
+# app/controllers/places_controller.rb
+#===========================================================
+# PLACES CONTROLLER — OFFLINE BIRTHPLACE AUTOCOMPLETE (JSON)
+#===========================================================
+# Backs the place-autocomplete Stimulus controller on the chart form. Results
+# come from the bundled gazetteer in lib/hdkit (no Google Places key needed).
+class PlacesController < ApplicationController
+  require "open3"
+  require "json"
+
+  MAX_RESULTS = 10
+
+  #===========================================================
+  # INDEX — GET /places?q=Dub[&country=IE]
+  #===========================================================
+  def index
+    q = params[:q].to_s.strip
+    return render json: [] if q.length < 2
+
+    cli = Rails.root.join("lib/hdkit/cli.mjs")
+    node_bin = `which node`.to_s.strip
+    node_bin = "/opt/homebrew/bin/node" if node_bin.empty?
+
+    cmd = [
+      node_bin, cli.to_s, "places",
+      "--q=#{q}",
+      "--country=#{params[:country]}",
+      "--limit=#{MAX_RESULTS}"
+    ]
+
+    out, err, status = Open3.capture3(*cmd)
+
+    unless status.success? && out.present?
+      Rails.logger.error "[HDKIT] place lookup failed: #{err.presence || 'no output'}"
+      return render json: { error: "Place lookup failed" }, status: :bad_gateway
+    end
+
+    render json: JSON.parse(out)
+  end
+end
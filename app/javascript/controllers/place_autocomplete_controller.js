@@ -0,0 +1,107 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Birthplace autocomplete backed by GET /places (the offline gazetteer in
+// lib/hdkit). Choosing a suggestion fills the hidden place_id, place_text,
+// lat, lng and tz fields; typing again clears them so a stale pick can't leak.
+export default class extends Controller {
+  static targets = ["input", "list", "placeId", "placeText", "lat", "lng", "tz"]
+  static values  = { url: String, minLength: { type: Number, default: 2 } }
+
+  connect() {
+    this.results = []
+    this.active  = -1
+    this.timer   = null
+    this.clearHidden()
+  }
+
+  disconnect() {
+    clearTimeout(this.timer)
+  }
+
+  // input → debounce → fetch
+  search() {
+    this.clearHidden()
+    this.inputTarget.setCustomValidity("Please pick a location from the suggestions.")
+
+    clearTimeout(this.timer)
+    const q = this.inputTarget.value.trim()
+    if (q.length < this.minLengthValue) return this.close()
+    this.timer = setTimeout(() => this.fetchResults(q), 200)
+  }
+
+  async fetchResults(q) {
+    const url = new URL(this.urlValue, window.location.origin)
+    url.searchParams.set("q", q)
+    try {
+      const res = await fetch(url, { headers: { Accept: "application/json" } })
+      if (!res.ok) return this.close()
+      const places = await res.json()
+      if (q !== this.inputTarget.value.trim()) return // user kept typing
+      this.results = Array.isArray(places) ? places : []
+      this.render()
+    } catch (e) {
+      console.warn("[places] lookup failed", e)
+      this.close()
+    }
+  }
+
+  // keyboard: ↑ ↓ to move, Enter to pick, Esc to close
+  navigate(event) {
+    if (this.listTarget.hidden) return
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      event.preventDefault()
+      const n = this.results.length
+      this.active = (this.active + (event.key === "ArrowDown" ? 1 : -1) + n) % n
+      this.highlight()
+    } else if (event.key === "Enter" && this.active >= 0) {
+      event.preventDefault()
+      this.select(this.active)
+    } else if (event.key === "Escape") {
+      this.close()
+    }
+  }
+
+  render() {
+    this.listTarget.innerHTML = ""
+    this.active = -1
+    this.results.forEach((place, i) => {
+      const li = document.createElement("li")
+      li.textContent = place.label
+      li.setAttribute("role", "option")
+      // mousedown fires before the input's blur closes the list
+      li.addEventListener("mousedown", (e) => { e.preventDefault(); this.select(i) })
+      this.listTarget.appendChild(li)
+    })
+    this.listTarget.hidden = this.results.length === 0
+  }
+
+  highlight() {
+    Array.from(this.listTarget.children).forEach((li, i) => {
+      li.classList.toggle("is-active", i === this.active)
+      li.setAttribute("aria-selected", i === this.active ? "true" : "false")
+    })
+  }
+
+  select(i) {
+    const place = this.results[i]
+    if (!place) return
+    this.inputTarget.value     = place.label
+    this.placeIdTarget.value   = place.id
+    this.placeTextTarget.value = place.label
+    this.latTarget.value       = place.lat
+    this.lngTarget.value       = place.lng
+    this.tzTarget.value        = place.tz
+    this.inputTarget.setCustomValidity("")
+    this.close()
+  }
+
+  close() {
+    this.listTarget.hidden = true
+    this.active = -1
+  }
+
+  clearHidden() {
+    [this.placeIdTarget, this.placeTextTarget, this.latTarget, this.lngTarget, this.tzTarget]
+      .forEach(el => { el.value = "" })
+  }
+}
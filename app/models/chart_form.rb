@@ -6,6 +6,6 @@ class ChartForm
 
   # add/remove fields to match your form:
   attr_accessor :name, :date, :date_iso, :time,
-                :location, :place_id, :place_text, :lat, :lng
+                :location, :place_id, :place_text, :lat, :lng, :tz
 end
 
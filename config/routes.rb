@@ -7,4 +7,7 @@ Rails.application.routes.draw do
   get "/charts_prawn.pdf", to: "charts#download_prawn", as: :chart_pdf_prawn
   get "/charts.pdf",       to: "charts#download",       as: :chart_pdf
 
+  # ---- Places (offline birthplace autocomplete) ----
+  get "places", to: "places#index", as: :places, defaults: { format: :json }
+
 end
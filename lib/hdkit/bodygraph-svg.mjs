@@ -0,0 +1,745 @@
+// Bodygraph renderer: definition + personality/design (+ transit) gates → SVG string
+
+/**************************
+IMPORTS
+**************************/
+import fs from "node:fs";
+import path from "node:path";
+import { CENTERS, CHANNELS_FULL, CHANNEL_BY_KEY, GATE_TO_CENTER, INTEGRATION_GATES } from "./channels.mjs";
+
+
+/**************************
+BACKGROUND IMAGE (OPTIONAL)
+**************************/
+export const DEFAULT_BACKGROUND = new URL("./images/Bodygraph-Background.png", import.meta.url).pathname;
+
+function expandHome(p) {
+  if (p.startsWith("~/"))
+    return path.join(process.env.HOME || process.env.USERPROFILE || "", p.slice(2));
+  return p;
+}
+
+// PNG on disk → data: URL for <image href>; null when the file is missing
+export function loadBackgroundImage(bgPath = DEFAULT_BACKGROUND) {
+  try {
+    const buf = fs.readFileSync(expandHome(bgPath));
+    return `data:image/png;base64,${buf.toString("base64")}`;
+  } catch (e) {
+    return null; // missing? skip background
+  }
+}
+
+/**************************
+GROUP COLOR KEY
+**************************/
+// Group charts color by how many members hold a gate, not by personality/design;
+// drawn as a legend on the SVG and returned alongside it (group.mjs)
+export const GROUP_COLOR_KEY = {
+  shared: { ink: "#6A4C9C", center: "#CDBFE6", label: "Held by two or more members" },
+  single: { ink: "#2A9D8F", center: "#BFE6E0", label: "Held by one member" },
+  mixed:  {                center: "#7E68AE", label: "Center defined by both" }
+};
+
+/**************************
+SVG BODYGRAPH (DRAW)
+**************************/
+export function svgBodygraph({
+  definedCenters = [],
+  definedChannels = [],
+  designGates = new Set(),
+  personalityGates = new Set(),
+  transitGates = new Set(), // third color; natal colors win where a gate is both
+  people = null,            // [gatesA, gatesB] → connection chart colored by person
+  group = null,             // [sharedGates, singleGates] → group chart, see GROUP_COLOR_KEY
+  backgroundImage = null,
+  backgroundOpacity = 0.8,
+  variables = null          // computeVariables() output → draws the four arrows
+} = {}) {
+  // Two-person mode reuses the personality/design slots for person A/B
+  // and group mode for shared/single-holder gates
+  if (people) [personalityGates, designGates] = people;
+  if (group)  [personalityGates, designGates] = group;
+  const INK = group ? { a: GROUP_COLOR_KEY.shared.ink, b: GROUP_COLOR_KEY.single.ink }
+    : people ? { a: "#2C6FB7", b: "#E08A1E" }   // person A blue, person B orange
+    : { a: "#222222", b: "#D75442" };          // personality black, design red
+
+  /**************************
+  SVG GEOMETRY & COLORS
+  **************************/
+  const W = 420, H = 600;
+  const CX = 210; // center x
+  const SIZE = {
+    square: 58,  gapV: 48,
+    head: 60,    ajna: 56
+  };
+  const COLORS = {
+    bg:"#ffffff", stroke:"#555555", grid:"#d9d9d9",
+    centerDefined:"#fff0b3", centerUndefined:"#ffffff",
+    channelDefined:"#a97100", channelUndefined:"#FFFFFF",
+    text:"#111111"
+  };
+
+
+  const isDefined = (name) => definedCenters.includes(name);
+
+  // helpers
+  const svg = [];
+  const push = (s) => svg.push(s);
+  const rect = (x, y, w, h, fill) =>
+    push(`<rect x="${x}" y="${y}" width="${w}" height="${h}" fill="${fill}" stroke="${COLORS.stroke}" />`);
+  const poly = (pts, fill) =>
+    push(`<polygon points="${pts.map(p=>p.join(",")).join(" ")}" fill="${fill}" stroke="${COLORS.stroke}" />`);
+  const line = (x1,y1,x2,y2,stroke,width=4) =>
+    push(`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${stroke}" stroke-width="${width}" stroke-linecap="butt" />`);
+  const fill = (center) => isDefined(center) ? COLORS.centerDefined : COLORS.centerUndefined;
+
+  /**************************
+  LAYOUT CONSTANTS
+  **************************/
+  const GAP_THROAT_TO_G   = 64;
+  const GAP_AJNA_TO_THROAT= 36;
+  const GAP_G_TO_SACRAL   = 90;
+  const GAP_SACRAL_TO_ROOT= 36;
+
+  /**************************
+  CENTER SHAPES
+  **************************/
+  // Head (triangle pointing DOWN)
+  const HEAD_Y = 36;
+  const HEAD = [
+    [CX,               HEAD_Y],
+    [CX - SIZE.head/2, HEAD_Y + SIZE.head],
+    [CX + SIZE.head/2, HEAD_Y + SIZE.head]
+  ];
+  // Ajna (triangle pointing DOWN)
+  const AJNA_Y = HEAD[1][1] + 28;
+  const AJNA = [
+    [CX - SIZE.ajna/2, AJNA_Y],
+    [CX + SIZE.ajna/2, AJNA_Y],
+    [CX,               AJNA_Y + SIZE.ajna]
+  ];
+  // Throat (square)
+  const THROAT_Y = AJNA[2][1] + GAP_AJNA_TO_THROAT;
+  const THROAT = { x: CX - SIZE.square/2, y: THROAT_Y, w: SIZE.square, h: SIZE.square };
+  // G (diamond)
+  const G_CY = THROAT.y + THROAT.h + GAP_THROAT_TO_G;
+  const G_HALF = Math.round(SIZE.square * 0.65);
+  const G = [
+    [CX,         G_CY - G_HALF],
+    [CX + G_HALF, G_CY],
+    [CX,         G_CY + G_HALF],
+    [CX - G_HALF, G_CY]
+  ];
+  // Sacral (square)
+  const SACRAL_Y = G_CY + GAP_G_TO_SACRAL;
+  const SACRAL = { x: CX - SIZE.square/2, y: SACRAL_Y, w: SIZE.square, h: SIZE.square };
+  // Spleen (left triangle pointing RIGHT)
+  const SIDE_GAP   = 120;
+  const SIDE_BASE  = 70;
+  const SIDE_HEIGHT= 70;
+  const SPL_MID_Y    = SACRAL.y + SACRAL.h/2;
+  const SPL_INNER_X = SACRAL.x - SIDE_GAP;
+  const SPLEEN = [
+   [SPL_INNER_X,                 SPL_MID_Y - SIDE_HEIGHT/2],
+   [SPL_INNER_X,                 SPL_MID_Y + SIDE_HEIGHT/2],
+   [SPL_INNER_X + SIDE_BASE,     SPL_MID_Y]
+  ];
+  // Solar Plexus (right triangle pointing LEFT)
+  const SOL_INNER_X = SACRAL.x + SACRAL.w + SIDE_GAP;
+  const SOLAR = [
+   [SOL_INNER_X,                 SPL_MID_Y - SIDE_HEIGHT/2],
+   [SOL_INNER_X,                 SPL_MID_Y + SIDE_HEIGHT/2],
+   [SOL_INNER_X - SIDE_BASE,     SPL_MID_Y]
+  ];
+  // Ego / Will (triangle pointing UP)
+  const EGO_CY   = (G_CY + SPL_MID_Y) / 2 - 30;
+  const EGO_CX   = CX + G_HALF + 20;
+  const EGO_H    = 35;
+  const EGO_BASE = 65;
+  const EGO = [
+   [EGO_CX,                 EGO_CY - EGO_H/2],
+   [EGO_CX - EGO_BASE/2,    EGO_CY + EGO_H/2],
+   [EGO_CX + EGO_BASE/2,    EGO_CY + EGO_H/2]
+  ];
+  // Root (square)
+  const ROOT_Y = SACRAL.y + SACRAL.h + GAP_SACRAL_TO_ROOT;
+  const ROOT = { x: CX - SIZE.square/2, y: ROOT_Y, w: SIZE.square, h: SIZE.square };
+
+  /**************************
+  SVG START + OPTIONAL BACKGROUND
+  **************************/
+  push(`<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}">`);
+  rect(0, 0, W, H, COLORS.bg);
+  if (backgroundImage) {
+    push(`<defs>
+      <clipPath id="frameClip">
+        <rect x="0" y="0" width="${W}" height="${H}" />
+      </clipPath>
+    </defs>`);
+    const bgOpacity = typeof backgroundOpacity === "number" ? backgroundOpacity : 0.85;
+    push(
+      `<image href="${backgroundImage}" x="0" y="0" width="${W}" height="${H}" ` +
+      `preserveAspectRatio="xMidYMid slice" opacity="${bgOpacity}" ` +
+      `clip-path="url(#frameClip)" />`
+    );
+  }
+
+  /**************************
+  GATE ANCHORS & LABEL HELPERS
+  **************************/
+  // Integration gates (10/20/34/57) share one spine, drawn separately in PASS 2;
+  // each gate's center comes from GATE_TO_CENTER
+  const EXCEPTION_GATES = INTEGRATION_GATES;
+
+  const GATE_ANCHORS = {
+    // Throat
+    62:{side:"top",    t:0.25},
+    23:{side:"top",    t:0.50},
+    56:{side:"top",    t:0.75},
+    16:{side:"left",   t:0.10},
+    20:{side:"left",   t:0.50}, // integration
+    12:{side:"right",  t:0.50},
+    31:{side:"bottom", t:0.24},
+     8:{side:"bottom", t:0.50},
+    33:{side:"bottom", t:0.76},
+    45:{side:"bottom", t:0.99},
+    35:{side:"right",  t:0.10},
+
+    // Head
+    64:{side:"bottom", t:0.26},
+    61:{side:"bottom", t:0.50},
+    63:{side:"bottom", t:0.74},
+
+    // Ajna
+    47:{side:"top",    t:0.25},
+    24:{side:"top",    t:0.50},
+     4:{side:"top",    t:0.75},
+    17:{side:"left",   t:0.50}, // slanted
+    11:{side:"right",  t:0.50},
+    43:{side:"bottom", t:0.70},
+
+    // G
+    13:{side:"top",    t:0.40},
+     1:{side:"top",    t:0.01},
+     7:{side:"left",   t:0.60},
+    46:{side:"right",  t:0.60},
+     2:{side:"bottom", t:0.01},
+    15:{side:"bottom", t:0.40},
+    10:{side:"left",   t:0.01},  // integration
+    25:{side:"right",  t:0.25},
+
+    // Ego
+    21:{side:"top",    t:0.50},
+    51:{side:"left",   t:0.60},
+    26:{side:"left",   t:0.01},
+    40:{side:"bottom", t:0.85},
+
+    // Solar Plexus
+    22:{side:"top",    t:0.70},
+    36:{side:"top",    t:0.90},
+     6:{side:"bottom", t:0.99},
+    37:{side:"top",    t:0.40},
+    49:{side:"bottom", t:0.50},
+    30:{side:"bottom", t:0.10},
+    55:{side:"bottom", t:0.30},
+
+    // Spleen
+    48:{side:"top",    t:0.90},
+    57:{side:"top",    t:0.70},  // integration
+    50:{side:"top",    t:0.01},
+    44:{side:"top",    t:0.35},
+    32:{side:"bottom", t:0.60},
+    28:{side:"bottom", t:0.40},
+    18:{side:"bottom", t:0.20},
+
+    // Sacral
+    14:{side:"top",    t:0.50},
+     5:{side:"top",    t:0.25},
+    34:{side:"left",   t:0.30},  // integration
+    27:{side:"left",   t:0.65},
+    29:{side:"top",    t:0.75},
+    59:{side:"right",  t:0.53},
+     9:{side:"bottom", t:0.80},
+     3:{side:"bottom", t:0.50},
+    42:{side:"bottom", t:0.20},
+
+    // Root
+    52:{side:"top",    t:0.80},
+    60:{side:"top",    t:0.50},
+    53:{side:"top",    t:0.20},
+    54:{side:"left",   t:0.20},
+    38:{side:"left",   t:0.50},
+    58:{side:"left",   t:0.80},
+    39:{side:"right",  t:0.50},
+    41:{side:"right",  t:0.80},
+    19:{side:"right",  t:0.20}
+  };
+
+  // lerp helpers scoped to this function
+  const lerp  = (a, b, t) => a + (b - a) * t;
+  const lerp2 = ([x1,y1], [x2,y2], t) => [ lerp(x1,x2,t), lerp(y1,y2,t) ];
+
+  // sides/points helpers
+  function rectSidePoint(R, side, t) {
+    side = (side||"").toLowerCase();
+    if (side === "top")    return [lerp(R.x, R.x+R.w, t), R.y];
+    if (side === "bottom") return [lerp(R.x, R.x+R.w, t), R.y + R.h];
+    if (side === "left")   return [R.x, lerp(R.y, R.y+R.h, t)];
+    if (side === "right")  return [R.x + R.w, lerp(R.y, R.y+R.h, t)];
+    return [R.x + R.w/2, R.y + R.h/2];
+  }
+
+  const G_TOP = G[0], G_RIGHT = G[1], G_BOTTOM = G[2], G_LEFT = G[3];
+  function diamondSidePoint(side, t) {
+    side = (side||"").toLowerCase();
+    if (side === "top")    return lerp2(G_TOP,    G_RIGHT, t);
+    if (side === "right")  return lerp2(G_RIGHT,  G_BOTTOM, t);
+    if (side === "bottom") return lerp2(G_BOTTOM, G_LEFT, t);
+    if (side === "left")   return lerp2(G_LEFT,   G_TOP, t);
+    return [CX, G_CY];
+  }
+
+  const HEAD_BASE_L = HEAD[1], HEAD_BASE_R = HEAD[2], HEAD_APEX = HEAD[0];
+  function headPoint(side, t) {
+    side = (side||"").toLowerCase();
+    if (side === "bottom") return lerp2(HEAD_BASE_L, HEAD_BASE_R, t);
+    if (side === "top")    return HEAD_APEX;
+    return lerp2(HEAD_BASE_L, HEAD_BASE_R, t);
+  }
+
+  const AJNA_BASE_L = AJNA[0], AJNA_BASE_R = AJNA[1], AJNA_APEX = AJNA[2];
+  function ajnaPoint(side, t) {
+    switch ((side||"").toLowerCase()) {
+      case "top":    return lerp2(AJNA_BASE_L, AJNA_BASE_R, t);
+      case "bottom": return AJNA_APEX;
+      case "left":   return lerp2(AJNA_BASE_L, AJNA_APEX, t);
+      case "right":  return lerp2(AJNA_BASE_R, AJNA_APEX, t);
+      default:       return lerp2(AJNA_BASE_L, AJNA_BASE_R, t);
+    }
+  }
+
+  function spleenPoint(side, t) {
+    side = (side||"").toLowerCase();
+    if (side === "right")  return lerp2(SPLEEN[0], SPLEEN[1], t);
+    if (side === "top")    return lerp2(SPLEEN[2], SPLEEN[0], t);
+    if (side === "bottom") return lerp2(SPLEEN[1], SPLEEN[2], t);
+    return SPLEEN[0];
+  }
+
+  function solarPoint(side, t) {
+    side = (side||"").toLowerCase();
+    if (side === "left")   return lerp2(SOLAR[0], SOLAR[1], t);
+    if (side === "top")    return lerp2(SOLAR[2], SOLAR[0], t);
+    if (side === "bottom") return lerp2(SOLAR[1], SOLAR[2], t);
+    return SOLAR[0];
+  }
+
+  function egoPoint(side, t) {
+    side = (side||"").toLowerCase();
+    const A = EGO[0], BL = EGO[1], BR = EGO[2];
+    if (side === "top")    return A;
+    if (side === "bottom") return lerp2(BL, BR, t);
+    if (side === "left")   return lerp2(BL, A, t);
+    if (side === "right")  return lerp2(BR, A, t);
+    return lerp2(BL, BR, 0.5);
+  }
+
+  // Gate → [x,y]
+  function anchorForGate(gate) {
+    const spec = GATE_ANCHORS[gate];
+    if (!spec) return [CX, G_CY];
+    const { side, t } = spec;
+    const center = GATE_TO_CENTER[gate];
+    if (center === "Throat")      return rectSidePoint(THROAT, side, t);
+    if (center === "Sacral")      return rectSidePoint(SACRAL, side, t);
+    if (center === "Root")        return rectSidePoint(ROOT,   side, t);
+    if (center === "G")           return diamondSidePoint(side, t);
+    if (center === "Head")        return headPoint(side, t);
+    if (center === "Ajna")        return ajnaPoint(side, t);
+    if (center === "Spleen")      return spleenPoint(side, t);
+    if (center === "SolarPlexus") return solarPoint(side, t);
+    if (center === "Ego")         return egoPoint(side, t);
+    return [CX, G_CY];
+  }
+
+  // color helper + safe segment
+  function strokeForGateLocal(g) {
+    if (personalityGates.has(g)) return INK.a;      // black / person A
+    if (designGates.has(g))      return INK.b;      // red / person B
+    if (transitGates.has(g))     return "#3E9C5A";  // green
+    return null; // undefined -> draw nothing in overlay pass
+  }
+// keep drawSeg as-is
+function drawSeg(a, b, stroke, w) {
+  if (!a || !b || !stroke) return;
+  line(a[0], a[1], b[0], b[1], stroke, w);
+}
+
+// allow custom caps + extra attrs (no hard-coded cap here)
+function lineCustom(x1, y1, x2, y2, stroke, width = 5, cap = "round", extra = "") {
+  push(`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"
+        stroke="${stroke}" stroke-width="${width}" stroke-linecap="${cap}" ${extra} />`);
+}
+
+// allow custom caps + extra attrs
+function lineCustom(x1, y1, x2, y2, stroke, width = 5, cap = "butt", extra = "") {
+  push(`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"
+        stroke="${stroke}" stroke-width="${width}" stroke-linecap="${cap}" ${extra} />`);
+}
+
+// one and only drawSegBoth (no duplicates!)
+function drawSegBoth(a, b, w = 4) {
+  const dash = 8, gap = 8;
+
+  // 1) solid red underlay — fills entire segment (no gaps → no white)
+  lineCustom(a[0], a[1], b[0], b[1], INK.b, w, "butt");
+
+  // 2) black dashed overlay, offset so dashes sit on top of red
+  lineCustom(
+    a[0], a[1], b[0], b[1],
+    INK.a, Math.max(1, w - 1), "butt",
+    `stroke-dasharray="${dash},${gap}" stroke-dashoffset="${dash}"`
+  );
+}
+
+
+  /**************************
+  CHANNEL NETWORK — PASS 1 (NON-EXCEPTION)
+  **************************/
+  // ----- PASS 1: draw all NON-exception channels (grid + split overlay)
+CHANNELS_FULL.forEach(ch => {
+  const [gA, gB] = ch.gates;
+  if (EXCEPTION_GATES.has(gA) || EXCEPTION_GATES.has(gB)) return; // skip integration parts
+
+  const pA = anchorForGate(gA);
+  const pB = anchorForGate(gB);
+
+  // grid (underlay)
+  line(pA[0], pA[1], pB[0], pB[1], COLORS.channelUndefined, 5);
+
+  // split overlay at geometric midpoint
+  const mid = [ (pA[0] + pB[0]) / 2, (pA[1] + pB[1]) / 2 ];
+
+  const bothA = personalityGates.has(gA) && designGates.has(gA);
+  const bothB = personalityGates.has(gB) && designGates.has(gB);
+
+  if (bothA) drawSegBoth(pA, mid, 5);
+  else       drawSeg(pA,  mid, strokeForGateLocal(gA), 5);
+
+  if (bothB) drawSegBoth(mid, pB, 5);
+  else       drawSeg(mid,  pB,  strokeForGateLocal(gB), 5);
+});
+
+  /**************************
+  CHANNEL NETWORK — PASS 2 (INTEGRATION 10–57–20–34)
+  **************************/
+  // ----- PASS 2: Integration network (10–57–20–34) with dual-color overlay when gate is in BOTH sets
+const P10 = anchorForGate(10);
+const P20 = anchorForGate(20);
+const P34 = anchorForGate(34);
+const P57 = anchorForGate(57);
+
+// junctions along the 57→20 spine
+const J34 = [
+  P57[0] + (P20[0] - P57[0]) * 0.20,
+  P57[1] + (P20[1] - P57[1]) * 0.20
+];
+const J10 = [
+  P57[0] + (P20[0] - P57[0]) * 0.50,
+  P57[1] + (P20[1] - P57[1]) * 0.50
+];
+
+// GRID (underlay)
+line(P20[0], P20[1], P57[0], P57[1], COLORS.channelUndefined, 5);
+line(P34[0], P34[1], J34[0], J34[1], COLORS.channelUndefined, 5);
+line(J34[0], J34[1], P20[0], P20[1], COLORS.channelUndefined, 5);
+line(P10[0], P10[1], J10[0], J10[1], COLORS.channelUndefined, 5);
+line(J10[0], J10[1], P57[0], P57[1], COLORS.channelUndefined, 5);
+
+// OVERLAYS (split by owning gate) — handle BOTH personality+design with interleaved dashes
+const both34 = personalityGates.has(34) && designGates.has(34);
+const both20 = personalityGates.has(20) && designGates.has(20);
+const both10 = personalityGates.has(10) && designGates.has(10);
+const both57 = personalityGates.has(57) && designGates.has(57);
+
+// 34–20 halves
+both34 ? drawSegBoth(P34, J34, 4) : drawSeg(P34, J34, strokeForGateLocal(34), 5);
+both20 ? drawSegBoth(J34, P20, 4) : drawSeg(J34, P20, strokeForGateLocal(20), 5);
+
+// 10–57 halves
+both10 ? drawSegBoth(P10, J10, 4) : drawSeg(P10, J10, strokeForGateLocal(10), 5);
+both57 ? drawSegBoth(J10, P57, 4) : drawSeg(J10, P57, strokeForGateLocal(57), 5);
+
+// 20–57 split at midpoint
+const M2057 = [ (P20[0] + P57[0]) / 2, (P20[1] + P57[1]) / 2 ];
+both20 ? drawSegBoth(P20,  M2057, 4) : drawSeg(P20,  M2057, strokeForGateLocal(20), 5);
+both57 ? drawSegBoth(M2057, P57,  4) : drawSeg(M2057, P57,  strokeForGateLocal(57), 5);
+
+
+
+
+/**************************
+  PAINT CENTERS
+**************************/
+const CENTER_THEME_ANN = group ? {
+  open:        "#FFFFFF",
+  personality: GROUP_COLOR_KEY.shared.center,
+  design:      GROUP_COLOR_KEY.single.center,
+  both:        GROUP_COLOR_KEY.mixed.center,
+  transit:     "#B9DFA6"
+} : people ? {
+  open:        "#FFFFFF",
+  personality: "#A9C8EA", // defined by person A alone
+  design:      "#F6D19E", // defined by person B alone
+  both:        "#4385A1", // needs both people (or both define it)
+  transit:     "#B9DFA6"
+} : {
+  open:        "#FFFFFF", // open
+  personality: "#4385A1", // dark slate
+  design:      "#AADBD5", // light aqua
+  both:        "#4385A1", // treat "both" as personality color
+  transit:     "#B9DFA6"  // light green: defined only with the transit's help
+};
+
+// Determine per-center status: "open" | "personality" | "design" | "both" | "transit".
+// A channel that needs a transit gate counts as "transit"; a center only shows
+// "transit" when no natal channel defines it.
+function computeCenterSources(definedChannels, personalityGates, designGates, transitGates = new Set()) {
+  const acc = {};
+  const add = (c, s) => (acc[c] ||= new Set()).add(s);
+
+  definedChannels.forEach(key => {
+    const ch = CHANNEL_BY_KEY[key]; if (!ch) return;
+    const [g1, g2] = ch.gates;
+    const transitOnly = g => transitGates.has(g) && !personalityGates.has(g) && !designGates.has(g);
+    let src = "both";
+    if (transitOnly(g1) || transitOnly(g2))                        src = "transit";
+    else if (personalityGates.has(g1) && personalityGates.has(g2)) src = "personality";
+    else if (designGates.has(g1) && designGates.has(g2))           src = "design";
+    ch.centers.forEach(cn => add(cn, src));
+  });
+
+  const status = {};
+  CENTERS.forEach(cn => {
+    const set = acc[cn];
+    if (set && set.size > 1) set.delete("transit");
+    if (!set || set.size === 0) status[cn] = "open";
+    else if (set.size > 1)      status[cn] = "both";
+    else                        status[cn] = [...set][0];
+  });
+  return status;
+}
+
+const centerStatus = computeCenterSources(definedChannels, personalityGates, designGates, transitGates);
+const fillFor = (name) => CENTER_THEME_ANN[centerStatus[name] || "open"] || "#FFFFFF";
+
+// temporarily hide borders while painting centers
+const __prevStroke = COLORS.stroke;
+COLORS.stroke = "none";
+
+// draw centers
+poly(HEAD,  fillFor("Head"));
+poly(AJNA,  fillFor("Ajna"));
+rect(THROAT.x, THROAT.y, THROAT.w, THROAT.h, fillFor("Throat"));
+poly(G,     fillFor("G"));
+poly(EGO,   fillFor("Ego"));
+poly(SPLEEN, fillFor("Spleen"));
+poly(SOLAR,  fillFor("SolarPlexus"));
+rect(SACRAL.x, SACRAL.y, SACRAL.w, SACRAL.h, fillFor("Sacral"));
+rect(ROOT.x, ROOT.y, ROOT.w, ROOT.h, fillFor("Root"));
+
+// restore stroke for anything drawn later
+COLORS.stroke = __prevStroke;
+
+/**************************
+  GATE NUMBER LABELS
+**************************/
+const CENTROID = {
+  Throat:      [THROAT.x + THROAT.w/2, THROAT.y + THROAT.h/2],
+  Sacral:      [SACRAL.x + SACRAL.w/2, SACRAL.y + SACRAL.h/2],
+  Root:        [ROOT.x   + ROOT.w/2,   ROOT.y   + ROOT.h/2],
+  G:           [CX, G_CY],
+  Head:        [(HEAD[0][0]+HEAD[1][0]+HEAD[2][0])/3, (HEAD[0][1]+HEAD[1][1]+HEAD[2][1])/3],
+  Ajna:        [(AJNA[0][0]+AJNA[1][0]+AJNA[2][0])/3, (AJNA[0][1]+AJNA[1][1]+AJNA[2][1])/3],
+  Spleen:      [(SPLEEN[0][0]+SPLEEN[1][0]+SPLEEN[2][0])/3, (SPLEEN[0][1]+SPLEEN[1][1]+SPLEEN[2][1])/3],
+  SolarPlexus: [(SOLAR[0][0]+SOLAR[1][0]+SOLAR[2][0])/3,  (SOLAR[0][1]+SOLAR[1][1]+SOLAR[2][1])/3],
+  Ego:         [(EGO[0][0]+EGO[1][0]+EGO[2][0])/3,        (EGO[0][1]+EGO[1][1]+EGO[2][1])/3],
+};
+
+function insetTowards(p, c, d = 10) {
+  const [x, y] = p, [cx, cy] = c;
+  const vx = cx - x, vy = cy - y;
+  const L = Math.hypot(vx, vy) || 1;
+  return [x + (vx / L) * d, y + (vy / L) * d];
+}
+
+// keep label style simple; stroke used only for white bubbles
+const LABEL_STYLE = { r: 6, strokeWidth: 1 };
+
+function drawGateNumber(gate, inset = 8) {
+  const spec = GATE_ANCHORS[gate];
+  if (!spec) return;
+
+  const p = anchorForGate(gate);
+  const c = CENTROID[GATE_TO_CENTER[gate]] || [CX, H/2];
+  let [tx, ty] = insetTowards(p, c, inset);
+
+  // manual nudges (adjust as needed)
+    if (gate === 47) { tx += 0;  ty += 0; }
+    if (gate === 64) { tx += -6;  ty += -1; }
+    if (gate === 63) { tx += +6;  ty += -1; }
+ 
+    if (gate === 47) { tx += -6;  ty += 0; }
+    if (gate === 4) { tx += +7;  ty += 0; }
+    if (gate === 24) { tx += 0;  ty += -2; }
+    if (gate === 43) { tx += 0;  ty += -6; }
+
+    if (gate === 20) { tx += 0;  ty += +7; }
+    if (gate === 16) { tx += +1;  ty += +9; }
+    if (gate === 62) { tx += -6;  ty += 0; }
+    if (gate === 56) { tx += +6;  ty += 0; }
+    if (gate === 23) { tx += +1;  ty += -1; }
+    if (gate === 31) { tx += -8;  ty += 0; }
+    if (gate === 8)  { tx += -7;  ty += +1; }
+    if (gate === 33) { tx += -5;  ty += 0; }
+    if (gate === 35) { tx += -1;  ty += +9; }
+    if (gate === 12) { tx += 0;   ty += +6; }
+    if (gate === 45) { tx += -1;  ty += -2; }
+
+    if (gate === 25) { tx += +2;  ty += -2; }
+
+    if (gate === 26) { tx += +6;  ty += -3; }
+    if (gate === 51) { tx += -2;  ty += -1; }
+    if (gate === 21) { tx += +1;  ty +=  +1; }
+    if (gate === 40) { tx += +2;  ty +=  -3; }
+ 
+    if (gate === 34) { tx += 0;  ty += +2; }
+    if (gate === 27) { tx += 0;  ty += +3; }
+    if (gate === 42) { tx += -4;  ty += 0; }
+    if (gate === 3)  { tx += 0;  ty += +1; }
+    if (gate === 9)  { tx += +4;  ty += 0; }
+    if (gate === 59) { tx += 0;  ty += 0; }
+    if (gate === 52) { tx += 4;  ty += 0; }
+    if (gate === 29) { tx += +5;  ty += 0; }
+    if (gate === 1)  { tx += 0;  ty += 0; }
+    if (gate === 5)  { tx += -5;  ty += 0; }
+
+    if (gate === 53) { tx +=-6;  ty += 0; }
+    if (gate === 60) { tx += 0;  ty += -1; }
+    if (gate === 52) { tx += +2; ty += 0; }
+    if (gate === 54) { tx += +1; ty += +6; }
+    if (gate === 58) { tx += +1; ty += +6; }
+    if (gate === 38) { tx += 0;  ty += +6; }
+    if (gate === 19) { tx += -1; ty += +6; }
+    if (gate === 39) { tx += 0;  ty += +6; }
+    if (gate === 41) { tx += -1; ty += +6; }
+ 
+    if (gate === 48) { tx += -2; ty += +3; }
+    if (gate === 57) { tx += 0;  ty += 0; }
+    if (gate === 44) { tx += 0;  ty += 0; }
+    if (gate === 50) { tx += -6; ty += 0; }
+    if (gate === 32) { tx += +2; ty += 0; }
+    if (gate === 28) { tx += -2; ty += +2; }
+    if (gate === 18) { tx += -7; ty += +3; }
+   
+    if (gate === 6)  { tx += +4; ty += -1; }
+    if (gate === 37) { tx += -2;  ty += 0; }
+    if (gate === 22) { tx += 0;  ty += 0; }
+    if (gate === 36) { tx += +3;  ty += +1; }
+    if (gate === 49) { tx += -4;  ty += -1; }
+    if (gate === 55) { tx += 0;  ty += 0; }
+    if (gate === 30) { tx += +2;  ty += +1; }
+
+
+  // bubble + text colors from the *center* status
+  const st = centerStatus[GATE_TO_CENTER[gate]] || "open";
+  const bubbleFill =
+    group                ? CENTER_THEME_ANN[st] :
+    people               ? (st === "both" ? "#506A81" : CENTER_THEME_ANN[st]) :
+    st === "open"        ? "#FFFFFF" :
+    st === "design"      ? "#AADBD5" :
+    st === "transit"     ? "#B9DFA6" :
+                           "#506A81";  // personality or both
+
+  const textFill =
+    (st === "both" || (!people && !group && st === "personality")) ? "#FFFFFF" : "#000000";
+
+  const bubbleStroke = (st === "open") ? "#DDDDDD" : "none";
+
+  push(
+    `<g class="gate-label">` +
+      `<circle cx="${tx}" cy="${ty}" r="${LABEL_STYLE.r}" fill="${bubbleFill}" ` +
+      `stroke="${bubbleStroke}" stroke-width="${LABEL_STYLE.strokeWidth}" />` +
+      `<text x="${tx}" y="${ty}" font-family="Helvetica, Arial, sans-serif" font-size="10" ` +
+      `fill="${textFill}" text-anchor="middle" dominant-baseline="middle">${gate}</text>` +
+    `</g>`
+  );
+}
+
+// draw all gate labels
+Object.keys(GATE_ANCHORS).forEach(k => drawGateNumber(+k, 9)); // inset ~9–10px
+
+/**************************
+  VARIABLE ARROWS (OPTIONAL)
+**************************/
+// Design arrows on the left, Personality on the right; top row level with the
+// Head, bottom row level with the Ajna. Each arrow points Left or Right.
+const ARROW_LEN = 26, ARROW_HEAD = 7;
+const ARROW_POS = {
+  "top-left":     [CX - 78, HEAD_Y + SIZE.head / 2],
+  "bottom-left":  [CX - 78, AJNA_Y + SIZE.ajna / 3],
+  "top-right":    [CX + 78, HEAD_Y + SIZE.head / 2],
+  "bottom-right": [CX + 78, AJNA_Y + SIZE.ajna / 3]
+};
+
+function drawVariableArrow(v) {
+  if (!v || !ARROW_POS[v.arrow]) return;
+  const [x, y] = ARROW_POS[v.arrow];
+  const stroke = v.arrow.endsWith("left") ? "#D75442" : "#222222"; // design red / personality black
+  const dir = v.orientation === "Left" ? -1 : 1;
+  const x1 = x - dir * ARROW_LEN / 2, x2 = x + dir * ARROW_LEN / 2;
+  const tip = x2 + dir * ARROW_HEAD;
+  push(
+    `<g class="variable-arrow">` +
+      `<line x1="${x1}" y1="${y}" x2="${x2}" y2="${y}" stroke="${stroke}" stroke-width="3" />` +
+      `<polygon points="${x2},${y - ARROW_HEAD / 2 - 1} ${tip},${y} ${x2},${y + ARROW_HEAD / 2 + 1}" fill="${stroke}" />` +
+      `<text x="${x}" y="${y + 13}" font-family="Helvetica, Arial, sans-serif" font-size="8" ` +
+      `fill="${stroke}" text-anchor="middle">${v.color}.${v.tone}</text>` +
+    `</g>`
+  );
+}
+
+if (variables) {
+  ["determination", "environment", "motivation", "perspective"]
+    .forEach(k => drawVariableArrow(variables[k]));
+}
+
+
+
+/**************************
+  GROUP LEGEND
+**************************/
+if (group) {
+  const rows = [
+    ["line", GROUP_COLOR_KEY.shared.ink,    GROUP_COLOR_KEY.shared.label],
+    ["line", GROUP_COLOR_KEY.single.ink,    GROUP_COLOR_KEY.single.label],
+    ["box",  GROUP_COLOR_KEY.mixed.center,  GROUP_COLOR_KEY.mixed.label]
+  ];
+  push(`<g class="legend">`);
+  rows.forEach(([kind, color, label], i) => {
+    const y = 16 + i * 14;
+    push(kind === "line"
+      ? `<line x1="10" y1="${y}" x2="26" y2="${y}" stroke="${color}" stroke-width="4" />`
+      : `<rect x="12" y="${y - 5}" width="12" height="10" fill="${color}" />`);
+    push(`<text x="32" y="${y}" font-family="Helvetica, Arial, sans-serif" font-size="9" ` +
+      `fill="${COLORS.text}" dominant-baseline="middle">${label}</text>`);
+  });
+  push(`</g>`);
+}
+
+  /**************************
+  SVG END
+  **************************/
+  push(`</svg>`);
+  return svg.join("\n");
+}
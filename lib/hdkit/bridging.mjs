@@ -0,0 +1,117 @@
+// What the definition leaves open: hanging gates (an activated gate whose
+// channel partner is dormant), open vs. activated-but-undefined centers, and
+// for split definitions the fewest gates that would join the separate areas.
+
+/**************************
+IMPORTS
+**************************/
+import { CENTERS, CENTER_GATES, GATE_TO_CENTER, CHANNELS_FULL } from "./channels.mjs";
+import { centerGraphFromChannels, components } from "./definition.mjs";
+
+
+/**************************
+HANGING GATES
+**************************/
+// One row per incomplete channel of an activated gate, e.g. 20 in a chart
+// with 34 but not 57 hangs toward 57 (20-34 is defined, 20-57 is not).
+// `sides` ({ personality, design }: Sets of gates) marks where the gate comes from.
+export function hangingGates(allGates, sides = null) {
+  const has = new Set(allGates);
+  const sideOf = (g) => !sides ? null
+    : sides.personality.has(g) && sides.design.has(g) ? "both"
+    : sides.personality.has(g) ? "personality" : "design";
+
+  return CHANNELS_FULL.flatMap(ch => {
+    const [a, b] = ch.gates;
+    if (has.has(a) === has.has(b)) return [];   // defined, or neither gate on
+    const [gate, completedBy] = has.has(a) ? [a, b] : [b, a];
+    return [{
+      gate,
+      center: GATE_TO_CENTER[gate],
+      side: sideOf(gate),
+      channel: ch.key,
+      completedBy,
+      completedByCenter: GATE_TO_CENTER[completedBy]
+    }];
+  }).sort((x, y) => x.gate - y.gate || x.completedBy - y.completedBy);
+}
+
+/**************************
+UNDEFINED CENTERS
+**************************/
+// Undefined centers split into completely open (no gate activated) and
+// activated (hanging gates only), with those gates
+export function undefinedCenters(allGates, definedCenters) {
+  const has = new Set(allGates);
+  const open = [], activated = [];
+  for (const center of CENTERS) {
+    if (definedCenters.includes(center)) continue;
+    const gates = CENTER_GATES[center].filter(g => has.has(g)).sort((a, b) => a - b);
+    if (gates.length) activated.push({ center, gates });
+    else open.push(center);
+  }
+  return { open, activated };
+}
+
+/**************************
+BRIDGING GATES
+**************************/
+// Areas of definition are the connected pieces of the center graph. Every
+// channel not yet defined is an edge between two areas/undefined centers that
+// costs its dormant gates; the cheapest paths between two areas are the
+// minimal bridges (one gate for a classic bridging gate, sometimes two or more).
+export function bridgingGates(allGates, definedChannels, definedCenters) {
+  const graph = centerGraphFromChannels(definedChannels);
+  const areas = components(definedCenters, graph);
+  if (areas.length < 2) return { areas, bridges: [] };
+
+  const has = new Set(allGates);
+  const nodeOf = (center) => {
+    const i = areas.findIndex(a => a.includes(center));
+    return i === -1 ? center : i;
+  };
+  const edges = CHANNELS_FULL
+    .filter(ch => !definedChannels.includes(ch.key))
+    .map(ch => ({
+      key: ch.key,
+      ends: ch.centers.map(nodeOf),
+      missing: ch.gates.filter(g => !has.has(g))
+    }))
+    .filter(e => e.ends[0] !== e.ends[1]);
+
+  // All simple paths from area `from` to area `to` costing at most `budget` gates
+  function paths(from, to, budget) {
+    const found = [];
+    (function walk(node, seen, used, cost) {
+      if (node === to) { found.push({ channels: used.map(e => e.key), used }); return; }
+      for (const e of edges) {
+        const i = e.ends.indexOf(node);
+        if (i === -1) continue;
+        const next = e.ends[1 - i];
+        if (seen.has(next) || cost + e.missing.length > budget) continue;
+        walk(next, new Set(seen).add(next), used.concat(e), cost + e.missing.length);
+      }
+    })(from, new Set([from]), [], 0);
+    return found;
+  }
+
+  const bridges = [];
+  for (let i = 0; i < areas.length; i++) {
+    for (let j = i + 1; j < areas.length; j++) {
+      // widen the budget until some path exists (at most 2 gates per channel × 8 hops)
+      let options = [];
+      for (let budget = 1; !options.length && budget <= 16; budget++) options = paths(i, j, budget);
+      // 20 sits in three channels, so a path can need the same gate twice
+      const byGates = new Map();
+      for (const o of options) {
+        const gates = [...new Set(o.used.flatMap(e => e.missing))].sort((a, b) => a - b);
+        if (!byGates.has(gates.join(","))) byGates.set(gates.join(","), { gates, channels: o.channels });
+      }
+      const all = [...byGates.values()];
+      const min = Math.min(...all.map(o => o.gates.length));
+      const cheapest = all.filter(o => o.gates.length === min).sort((x, y) => x.gates[0] - y.gates[0]);
+      bridges.push({ areas: [i, j], size: min, options: cheapest });
+    }
+  }
+  return { areas, bridges };
+}
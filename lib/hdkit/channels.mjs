@@ -0,0 +1,61 @@
+// Single source of truth for the bodygraph wiring: which center owns each gate,
+// and which two gates (and therefore centers) make up each of the 36 channels.
+// deriveDefinition() and svgBodygraph() both read from here.
+
+/**************************
+CENTERS → GATES
+**************************/
+export const CENTER_GATES = {
+  Head:        [64, 61, 63],
+  Ajna:        [47, 24, 4, 17, 43, 11],
+  Throat:      [62, 23, 56, 35, 12, 45, 33, 8, 31, 20, 16],
+  G:           [1, 13, 25, 46, 2, 15, 10, 7],
+  Ego:         [21, 40, 26, 51],
+  SolarPlexus: [6, 37, 22, 36, 30, 55, 49],
+  Spleen:      [48, 57, 44, 50, 32, 28, 18],
+  Sacral:      [5, 14, 29, 59, 9, 3, 42, 27, 34],
+  Root:        [53, 60, 52, 19, 39, 41, 58, 38, 54]
+};
+
+export const CENTERS = Object.keys(CENTER_GATES);
+
+// Each gate belongs to exactly one center
+export const GATE_TO_CENTER = Object.fromEntries(
+  Object.entries(CENTER_GATES).flatMap(([center, gates]) => gates.map(g => [g, center]))
+);
+
+if (Object.keys(GATE_TO_CENTER).length !== 64) {
+  throw new Error("channels.mjs: CENTER_GATES must assign all 64 gates exactly once");
+}
+
+/**************************
+CHANNEL DEFINITIONS (CANONICAL 36)
+**************************/
+// Gate pairs only; centers are looked up from GATE_TO_CENTER so the two tables
+// can never disagree.
+const CHANNEL_GATES = [
+  [1,8],   [2,14],  [3,60],  [4,63],  [5,15],  [6,59],
+  [7,31],  [9,52],  [10,20], [10,34], [10,57], [11,56],
+  [12,22], [13,33], [16,48], [17,62], [18,58], [19,49],
+  [20,34], [20,57], [21,45], [23,43], [24,61], [25,51],
+  [26,44], [27,50], [28,38], [29,46], [30,41], [32,54],
+  [34,57], [35,36], [37,40], [39,55], [42,53], [47,64]
+];
+
+export const CHANNELS_FULL = CHANNEL_GATES.map(([a, b]) => ({
+  key: `${a}-${b}`,
+  gates: [a, b],
+  centers: [GATE_TO_CENTER[a], GATE_TO_CENTER[b]]
+}));
+
+export const CHANNEL_BY_KEY = Object.fromEntries(CHANNELS_FULL.map(c => [c.key, c]));
+
+// Integration circuit: 10, 20, 34 and 57 pair with each other in six channels
+// (10-20, 10-34, 10-57, 20-34, 20-57, 34-57), so they share one drawn spine.
+export const INTEGRATION_GATES = new Set([10, 20, 34, 57]);
+
+// "20-57" and "57-20" both resolve to the same channel
+export function channelKey(g1, g2) {
+  const [a, b] = g1 < g2 ? [g1, g2] : [g2, g1];
+  return `${a}-${b}`;
+}
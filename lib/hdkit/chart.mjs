@@ -0,0 +1,461 @@
+// Birth data → Personality/Design activations → full chart object
+
+/**************************
+IMPORTS
+**************************/
+import swe from "swisseph";           // default import for CJS interop
+import {
+  PLANETS, EXTRA_BODIES, toJulianDay, calcLon, calcLonWithSource, nodePair, findDesignMoment,
+  dateTimeFromJulianDay, bodyLongitude
+} from "./ephemeris.mjs";
+import {
+  DEG_PER_GATE, DEG_PER_LINE, gateLineFromLongitude, activationFromLongitude
+} from "./mandala.mjs";
+import { resolveProfile, describeProfile } from "./profiles.mjs";
+import { checkOption } from "./validate.mjs";
+import { resolveCross } from "./cross.mjs";
+import { enrichActivation } from "./reference.mjs";
+import { activationFixing } from "./fixing.mjs";
+import { analyzeCircuitry } from "./circuitry.mjs";
+import { hangingGates, undefinedCenters, bridgingGates } from "./bridging.mjs";
+import {
+  deriveDefinition, centerGraphFromChannels, computeDefinitionLabel,
+  computeTypeAuthority, NOT_SELF
+} from "./definition.mjs";
+import { svgBodygraph } from "./bodygraph-svg.mjs";
+import { computeVariables } from "./variables.mjs";
+import { resolveTimezone } from "./timezone.mjs";
+
+
+/**************************
+INCARNATION CROSS HELPERS
+**************************/
+function parseGateLine(pairs, planet) {
+  // pairs is like: [["Sun","46.5"], ...]
+  const raw = (pairs.find(([nm]) => nm === planet) || [null, ""])[1] || "";
+  const [gStr, lStr] = String(raw).split(".");
+  const g = parseInt(gStr, 10);
+  const l = parseInt(lStr, 10);
+  return { g, l };
+}
+
+/**************************
+ACTIVATIONS AT A MOMENT
+**************************/
+// keep Earth’s gate but force its line to equal Sun’s line
+function harmonizeSunEarthLines(pairs) {
+  const h = Object.fromEntries(pairs);
+  const sun = (h["Sun"] || "");
+  const earth = (h["Earth"] || "");
+  if (!sun || !earth) return;
+
+  const sunLine = sun.split(".")[1];
+  const earthGate = earth.split(".")[0];
+  if (!sunLine || !earthGate) return;
+
+  const fixedEarth = `${parseInt(earthGate, 10)}.${sunLine}`;
+  for (let i = 0; i < pairs.length; i++) {
+    if (pairs[i][0] === "Earth") {
+      pairs[i][1] = fixedEarth;
+      break;
+    }
+  }
+}
+
+// Planets + nodes at one moment: the 13 gate.line pairs and their activation
+// rows. Used for each natal side and on its own for transits. `calculation`
+// is a profile (see profiles.mjs): ephemeris, node type and mandala.
+export async function activationsAt(jd, calculation) {
+  const { ephemeris, node, mandala } = resolveProfile(calculation);
+
+  /**************************
+  LONGITUDES (SUN..PLUTO)
+  **************************/
+  const results = await Promise.all(PLANETS.map(([_, id]) => calcLonWithSource(jd, id, ephemeris)));
+  const longs = results.map(r => r.lon);
+
+  // Force Earth = Sun + 180° (geocentric)
+  const idxSun   = PLANETS.findIndex(([nm]) => nm === "Sun");
+  const idxEarth = PLANETS.findIndex(([nm]) => nm === "Earth");
+  longs[idxEarth] = ((longs[idxSun] + 180) % 360 + 360) % 360;
+
+  // "swiss" comes back as "moshier" outside the files' years (Earth's own
+  // lookup is discarded above, so it doesn't count)
+  const sources = [...new Set(results.filter((_, i) => i !== idxEarth).map(r => r.ephemeris))];
+  const ephemerisUsed = sources.length === 1 ? sources[0] : "mixed";
+
+  /**************************
+  LUNAR NODES — mean & true
+  **************************/
+  const mean = await nodePair(jd, false, ephemeris);
+  const tru  = await nodePair(jd, true, ephemeris);
+
+  // Profile picks the set (Jovian matches the TRUE node near boundaries)
+  const { north, south } = node === "true" ? tru : mean;
+
+  /**************************
+  MAP LONGITUDES → GATE.LINE (PLANETS + NODES)
+  **************************/
+  const gl = (g, l) => (g && l) ? `${g}.${l}` : "—";
+  const planets = PLANETS.map(([nm], i) => {
+    const [g, l] = gateLineFromLongitude(longs[i], mandala);
+    return [nm, gl(g, l)];
+  });
+  harmonizeSunEarthLines(planets);
+  const [gN, lN] = gateLineFromLongitude(north, mandala);
+  const [gS, lS] = gateLineFromLongitude(south, mandala);
+  planets.push(["North Node", gl(gN, lN)]);
+  planets.push(["South Node", gl(gS, lS)]);
+
+  /**************************
+  ACTIVATIONS (GATE.LINE.COLOR.TONE.BASE)
+  **************************/
+  // Same rows and order as planets, with sub-line precision
+  const activations = PLANETS
+    .map(([nm], i) => ({ planet: nm, ...activationFromLongitude(longs[i], mandala) }))
+    .concat([
+      { planet: "North Node", ...activationFromLongitude(north, mandala) },
+      { planet: "South Node", ...activationFromLongitude(south, mandala) }
+    ]);
+
+  return {
+    jd, longs, ephemerisUsed,
+    sunLon: longs[idxSun],
+    nodes: { mean, true: tru },
+    planets, activations
+  };
+}
+
+// Personality (jdP) and Design (88° of solar arc earlier, or as the profile
+// says) activations. No logging and no SVG, so it is cheap enough to call in a
+// time sweep. `steps` collects the design solver's rounds (see trace below).
+export async function computeActivations(jdP, calculation, steps = null) {
+  const calc = resolveProfile(calculation);
+  const { jd: jdD, ...designSolver } = await findDesignMoment(jdP, calc, steps);
+  const p = await activationsAt(jdP, calc);
+  const d = await activationsAt(jdD, calc);
+
+  return {
+    jdP, jdD, designSolver,
+    ephemerisUsed: { personality: p.ephemerisUsed, design: d.ephemerisUsed },
+    longP: p.longs, longD: d.longs,
+    nodes: { meanP: p.nodes.mean, meanD: d.nodes.mean, trueP: p.nodes.true, trueD: d.nodes.true },
+    sunLonP: p.sunLon, sunLonD: d.sunLon,
+    personalityPlanets: p.planets, designPlanets: d.planets,
+    personalityActivations: p.activations, designActivations: d.activations
+  };
+}
+
+/**************************
+EXTRA BODIES (OPT-IN)
+**************************/
+// "Chiron,Lilith", ["Chiron"], "all" or true → EXTRA_BODIES names, in table order
+export function resolveExtraBodies(spec) {
+  const known = EXTRA_BODIES.map(([nm]) => nm);
+  if (spec === true || spec === "all") return known;
+  const asked = (Array.isArray(spec) ? spec : String(spec || "").split(","))
+    .map(s => String(s).trim()).filter(Boolean)
+    .map(s => checkOption(known.find(nm => nm.toLowerCase() === s.toLowerCase()) || s, known, "extraBodies"));
+  return known.filter(nm => asked.includes(nm));
+}
+
+// Extra bodies at one moment, shaped like activationsAt()'s planets and
+// activations. Kept out of the 13 rows so they never reach the definition
+// unless a caller adds them on purpose.
+export async function extraActivationsAt(jd, names, calculation) {
+  const calc = resolveProfile(calculation);
+  const { mandala } = calc;
+  const longs = await Promise.all(names.map(nm => bodyLongitude(nm, calc)(jd)));
+  return {
+    planets: names.map((nm, i) => [nm, gateLineFromLongitude(longs[i], mandala).join(".")]),
+    activations: names.map((nm, i) => ({ planet: nm, ...activationFromLongitude(longs[i], mandala) }))
+  };
+}
+
+/**************************
+DEFINITION, TYPE, PROFILE, CROSS
+**************************/
+// [["Sun","12.2"], ...] columns → gate numbers (one per activation)
+export function gatesFromPlanets(...columns) {
+  return columns.flat().map(([,gl]) => parseInt(String(gl).split(".")[0],10));
+}
+
+// Everything that follows from the two gate.line columns
+export function summarizeChart(personalityPlanets, designPlanets) {
+  const allGates = gatesFromPlanets(personalityPlanets, designPlanets);
+  const { definedChannels, definedCenters } = deriveDefinition(allGates);
+
+  function getLine(pairs, planet) {
+    const h = Object.fromEntries(pairs);
+    const v = h[planet]; if (!v) return null;
+    const parts = String(v).split(".");
+    return parts.length === 2 ? parseInt(parts[1],10) : null;
+  }
+  const persSunLine = getLine(personalityPlanets, "Sun") ?? getLine(personalityPlanets, "Earth");
+  const desSunLine  = getLine(designPlanets,       "Sun") ?? getLine(designPlanets,       "Earth");
+  const profile = (persSunLine && desSunLine) ? `${persSunLine}/${desSunLine}` : "TBD";
+
+  const graph = centerGraphFromChannels(definedChannels);
+  const definition = computeDefinitionLabel(definedCenters, graph);
+  const { type, authority, strategy } = computeTypeAuthority(definedCenters, graph);
+
+  /**************************
+  INCARNATION CROSS
+  **************************/
+  const pSun   = parseGateLine(personalityPlanets, "Sun");
+  const pEarth = parseGateLine(personalityPlanets, "Earth");
+  const dSun   = parseGateLine(designPlanets,       "Sun");
+  const dEarth = parseGateLine(designPlanets,       "Earth");
+  const incarnationCross = resolveCross({
+    personalitySun: pSun.g, personalityEarth: pEarth.g,
+    designSun: dSun.g, designEarth: dEarth.g,
+    personalitySunLine: pSun.l, designSunLine: dSun.l
+  });
+
+  return {
+    type, profile, definition, authority, strategy,
+    notSelf: NOT_SELF[type],
+    cross: incarnationCross.label,
+    incarnationCross,
+    definedChannels, definedCenters
+  };
+}
+
+// Profile metadata plus the ephemeris each side was actually computed with
+// (`ephemeris` is what was asked for; see activationsAt)
+function calculationMeta(calc, acts) {
+  return { ...describeProfile(calc), ephemerisUsed: acts.ephemerisUsed };
+}
+
+/**************************
+NATAL CORE (NO SVG)
+**************************/
+// Birth data → activations + summary, without the SVG or debug output.
+// Shared by the readings that combine charts (transit overlay, connection, group).
+export async function computeNatal({
+  name  = "",
+  date  = "",
+  time  = "12:00",
+  place = "",
+  tz    = "",
+  lat   = null,
+  lng   = null,
+  calculation = undefined
+} = {}) {
+  const { zone } = resolveTimezone({ tz, lat, lng, place });
+  const acts = await computeActivations(toJulianDay(date, time, zone), calculation);
+  const { personalityPlanets, designPlanets } = acts;
+  return {
+    name, date, time, place,
+    tz: zone,
+    calculation: calculationMeta(calculation, acts),
+    ...acts,
+    ...summarizeChart(personalityPlanets, designPlanets),
+    allGates:         gatesFromPlanets(personalityPlanets, designPlanets),
+    personalityGates: new Set(gatesFromPlanets(personalityPlanets)),
+    designGates:      new Set(gatesFromPlanets(designPlanets))
+  };
+}
+
+/**************************
+CALCULATION TRACE
+**************************/
+// Audit record for one chart: what was computed, from what, and how close
+// each activation sits to a line edge. Built only when asked for.
+function chartTrace(acts, calc, steps) {
+  const { jdP, jdD, designSolver, longP, longD, nodes } = acts;
+  const gl = (lon) => gateLineFromLongitude(lon, calc.mandala).join(".");
+  const nodeVariants = (mean, tru) => ({
+    used: calc.node,
+    mean: { north: mean.north, south: mean.south, northGateLine: gl(mean.north), southGateLine: gl(mean.south) },
+    true: { north: tru.north, south: tru.south, northGateLine: gl(tru.north), southGateLine: gl(tru.south) }
+  });
+  // degrees from the start / to the end of the activation's line
+  const edges = (side, rows) => rows.map(a => {
+    const intoLine = a.degreeInGate - (a.line - 1) * DEG_PER_LINE;
+    return {
+      side, planet: a.planet,
+      gateLine: `${a.gate}.${a.line}`,
+      longitude: a.longitude,
+      fromLineStart: intoLine,
+      toLineEnd: DEG_PER_LINE - intoLine
+    };
+  });
+
+  return {
+    calculation: calculationMeta(calc, acts),
+    julianDays: { personality: jdP, design: jdD },
+    longitudes: {
+      personality: Object.fromEntries(PLANETS.map(([nm], i) => [nm, longP[i]])),
+      design:      Object.fromEntries(PLANETS.map(([nm], i) => [nm, longD[i]]))
+    },
+    nodes: {
+      personality: nodeVariants(nodes.meanP, nodes.trueP),
+      design:      nodeVariants(nodes.meanD, nodes.trueD)
+    },
+    designSolver: { ...designSolver, steps: steps || [] },
+    boundaries: edges("personality", acts.personalityActivations)
+      .concat(edges("design", acts.designActivations)),
+    // first six gates from the mandala anchor, to confirm the wheel's alignment
+    mandalaCheck: Array.from({ length: 6 }, (_, k) => {
+      const lon = calc.mandala.anchorLon + k * DEG_PER_GATE + 1e-6;
+      return { longitude: lon, gateLine: gl(lon) };
+    })
+  };
+}
+
+/**************************
+MAIN COMPUTE
+**************************/
+// Pure chart computation: no argv, no stdout. `backgroundImage` is a data: URL
+// (see loadBackgroundImage) or null for a plain white frame.
+export async function computeChart({
+  name  = "Test",
+  date  = "",       // YYYY-MM-DD
+  time  = "12:00",  // HH:MM
+  place = "",
+  tz    = "",       // IANA tz like "Europe/Dublin"
+  lat   = null,     // birthplace coordinates; used to look up the zone when tz is empty
+  lng   = null,
+  backgroundImage = null,
+  drawVariables = false,  // draw the four Variable arrows on the SVG
+  calculation = undefined, // profile name or { profile, ...overrides } (profiles.mjs)
+  trace = false,          // true → result.trace; a function → called with the trace instead
+  extraBodies = [],       // opt-in EXTRA_BODIES names ("Chiron,Lilith" or "all"); reported apart
+  extraBodiesDefine = false, // let the extra bodies' gates count toward channels/centers
+  debug = false
+} = {}) {
+  const calc = resolveProfile(calculation);
+  const steps = trace ? [] : null;
+
+  /**************************
+  JULIAN DAYS (PERSONALITY & DESIGN)
+  **************************/
+  const { zone } = resolveTimezone({ tz, lat, lng, place });
+  const jdP = toJulianDay(date, time, zone);
+  const acts = await computeActivations(jdP, calc, steps);
+  const {
+    jdD, designSolver, sunLonP, sunLonD,
+    personalityPlanets, designPlanets,
+    personalityActivations, designActivations
+  } = acts;
+
+  const variables = computeVariables(personalityActivations, designActivations);
+
+  const extraNames = resolveExtraBodies(extraBodies);
+  const extraP = await extraActivationsAt(jdP, extraNames, calc);
+  const extraD = await extraActivationsAt(jdD, extraNames, calc);
+  // the columns definition is read from: the 13 rows, plus extras only if asked
+  const definingP = extraBodiesDefine ? personalityPlanets.concat(extraP.planets) : personalityPlanets;
+  const definingD = extraBodiesDefine ? designPlanets.concat(extraD.planets) : designPlanets;
+
+  /**************************
+  DEFINITION (CHANNELS/CENTERS) + PROFILE + CROSS
+  **************************/
+  const {
+    type, profile, definition, authority, strategy, notSelf, cross, incarnationCross,
+    definedChannels, definedCenters
+  } = summarizeChart(definingP, definingD);
+
+  const sides = [personalityActivations, designActivations];
+  const withReference = (a) => ({ ...enrichActivation(a), fixing: activationFixing(a, sides) });
+
+  const designGates = new Set(gatesFromPlanets(definingD));
+  const personalityGates = new Set(gatesFromPlanets(definingP));
+  const definingGates = gatesFromPlanets(definingP, definingD);
+
+  /**************************
+  RESULT OBJECT
+  **************************/
+  const result = {
+    name, date, time, place,
+    tz: zone,
+    designDateUTC:   dateTimeFromJulianDay(jdD).toISO(),
+    designDateLocal: dateTimeFromJulianDay(jdD, zone).toISO(),
+    designSolver,
+    calculation: calculationMeta(calc, acts),
+    type,
+    profile,
+    definition,
+    authority,
+    strategy,
+    notSelf,
+    cross,
+    incarnationCross,
+    designPlanets,
+    personalityPlanets,
+    // activation rows with gate name, keynote, hexagram, codon ring, zodiac,
+    // Godhead and the ▲/▼/✱ fixing marker
+    designActivations:      designActivations.map(withReference),
+    personalityActivations: personalityActivations.map(withReference),
+    variables,
+    ...(extraNames.length ? {
+      extraBodies: {
+        bodies: extraNames,
+        includedInDefinition: Boolean(extraBodiesDefine),
+        personalityPlanets: extraP.planets,
+        designPlanets: extraD.planets,
+        personalityActivations: extraP.activations.map(enrichActivation),
+        designActivations: extraD.activations.map(enrichActivation)
+      }
+    } : {}),
+    definedChannels,
+    definedCenters,
+    // circuit group / circuit / Generated-Projected-Manifested per channel
+    circuitry: analyzeCircuitry(definedChannels),
+    // dormant channel partners, open vs. activated centers, split bridges
+    hangingGates: hangingGates(definingGates, { personality: personalityGates, design: designGates }),
+    undefinedCenters: undefinedCenters(definingGates, definedCenters),
+    bridging: bridgingGates(definingGates, definedChannels, definedCenters),
+    svg: svgBodygraph({
+      definedCenters,
+      definedChannels,
+      designGates,
+      backgroundImage,
+      personalityGates,
+      variables: drawVariables ? variables : null
+    })
+  };
+
+  /**************************
+  TRACE (OPTIONAL)
+  **************************/
+  if (trace) {
+    const record = chartTrace(acts, calc, steps);
+    if (typeof trace === "function") trace(record);
+    else result.trace = record;
+  }
+
+  /**************************
+  DEBUG BLOCKS (OPTIONAL)
+  **************************/
+  if (debug) {
+    const jdBirthDbg  = toJulianDay(date, time, zone);            // sync
+    const jdDesignDbg = (await findDesignMoment(jdBirthDbg, calc)).jd; // async
+    const sunBirth    = await calcLon(jdBirthDbg,  swe.SE_SUN, calc.ephemeris);
+    const sunDesign   = await calcLon(jdDesignDbg, swe.SE_SUN, calc.ephemeris);
+    const pSunStr   = (personalityPlanets.find(([b]) => b === "Sun") || [])[1] || "";
+    const dSunStr   = (designPlanets.find(([b]) => b === "Sun") || [])[1] || "";
+    const pEarthStr = (personalityPlanets.find(([b]) => b === "Earth") || [])[1] || "";
+    const dEarthStr = (designPlanets.find(([b]) => b === "Earth") || [])[1] || "";
+    result.debug = {
+      date, time, tz: zone,
+      jdBirth:  jdBirthDbg,
+      jdDesign: jdDesignDbg,
+      sunBirth,
+      sunDesign,
+      pSun: pSunStr, dSun: dSunStr, pEarth: pEarthStr, dEarth: dEarthStr,
+      personalityPlanets,
+      designPlanets,
+      used: {
+        jdP, jdD,
+        sunLonP,
+        sunLonD,
+        pSunGL: pSunStr,
+        dSunGL: dSunStr
+      }
+    };
+  }
+
+  return result;
+}
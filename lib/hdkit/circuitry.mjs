@@ -0,0 +1,87 @@
+// Circuitry: each of the 36 channels belongs to a circuit group (Individual,
+// Collective, Tribal, or the Integration channels) and, outside Integration,
+// to one of six circuits. Channels are also Generated, Projected or Manifested
+// depending on the centers they join.
+
+/**************************
+IMPORTS
+**************************/
+import { CHANNEL_BY_KEY, channelKey } from "./channels.mjs";
+import { MOTORS } from "./definition.mjs";
+
+
+/**************************
+CIRCUITS
+**************************/
+export const CIRCUIT_GROUPS = ["Individual", "Collective", "Tribal", "Integration"];
+
+// circuit → { group, channels }; Integration has no sub-circuit of its own
+export const CIRCUITS = {
+  Knowing:     { group: "Individual", channels: ["1-8", "2-14", "3-60", "12-22", "23-43", "24-61", "28-38", "39-55"] },
+  Centering:   { group: "Individual", channels: ["10-34", "25-51"] },
+  Logic:       { group: "Collective", channels: ["4-63", "5-15", "7-31", "9-52", "16-48", "17-62", "18-58"] },
+  Sensing:     { group: "Collective", channels: ["11-56", "13-33", "29-46", "30-41", "35-36", "42-53", "47-64"] },
+  Ego:         { group: "Tribal",     channels: ["19-49", "21-45", "26-44", "32-54", "37-40"] },
+  Defense:     { group: "Tribal",     channels: ["6-59", "27-50"] },
+  Integration: { group: "Integration", channels: ["10-20", "10-57", "20-34", "20-57", "34-57"] }
+};
+
+// "34-57" → { group: "Integration", circuit: null }
+const CIRCUIT_BY_CHANNEL = Object.fromEntries(
+  Object.entries(CIRCUITS).flatMap(([circuit, { group, channels }]) =>
+    channels.map(key => [key, { group, circuit: circuit === "Integration" ? null : circuit }]))
+);
+
+if (Object.keys(CIRCUIT_BY_CHANNEL).length !== 36) {
+  throw new Error("circuitry.mjs: CIRCUITS must place all 36 channels exactly once");
+}
+
+/**************************
+CHANNEL TYPE
+**************************/
+export const CHANNEL_TYPES = ["Generated", "Projected", "Manifested"];
+
+// A motor wired straight to the Throat is Manifested (20-34 included, though
+// it is also Sacral); any other Sacral channel is Generated; the rest are Projected.
+export function channelType(key) {
+  const ch = CHANNEL_BY_KEY[key];
+  if (!ch) return null;
+  const [a, b] = ch.centers;
+  if ((a === "Throat" && MOTORS.has(b)) || (b === "Throat" && MOTORS.has(a))) return "Manifested";
+  if (a === "Sacral" || b === "Sacral") return "Generated";
+  return "Projected";
+}
+
+/**************************
+ANALYSIS
+**************************/
+// { key, group, circuit, type, centers } for one channel ("20-57" or "57-20")
+export function channelCircuit(key) {
+  const [g1, g2] = String(key).split("-").map(Number);
+  const k = channelKey(g1, g2);
+  const ch = CHANNEL_BY_KEY[k];
+  if (!ch) return null;
+  return { key: k, ...CIRCUIT_BY_CHANNEL[k], type: channelType(k), centers: ch.centers };
+}
+
+const countBy = (rows, field, names) =>
+  Object.fromEntries(names.map(n => [n, rows.filter(r => r[field] === n).length]));
+
+// definedChannels (from deriveDefinition) → per-channel rows plus emphasis:
+// counts per group, circuit and channel type, and the leading group(s)
+export function analyzeCircuitry(definedChannels) {
+  const channels = definedChannels.map(channelCircuit).filter(Boolean);
+  const groups = countBy(channels, "group", CIRCUIT_GROUPS);
+  const top = Math.max(0, ...Object.values(groups));
+
+  return {
+    channels,
+    emphasis: {
+      total: channels.length,
+      groups,
+      circuits: countBy(channels, "circuit", Object.keys(CIRCUITS).filter(c => c !== "Integration")),
+      types: countBy(channels, "type", CHANNEL_TYPES),
+      dominant: top ? CIRCUIT_GROUPS.filter(g => groups[g] === top) : []
+    }
+  };
+}
@@ -0,0 +1,96 @@
+// Connection (composite) chart for two people: every channel the pair forms,
+// classified by who brings which gate, plus what only the composite defines.
+
+/**************************
+IMPORTS
+**************************/
+import { computeNatal } from "./chart.mjs";
+import { CENTERS, CHANNELS_FULL } from "./channels.mjs";
+import {
+  deriveDefinition, centerGraphFromChannels, computeDefinitionLabel, computeTypeAuthority
+} from "./definition.mjs";
+import { svgBodygraph } from "./bodygraph-svg.mjs";
+
+
+/**************************
+CHANNEL CLASSIFICATION
+**************************/
+//   electromagnetic  each person holds one gate (and neither the whole channel)
+//   companionship    both hold the whole channel
+//   dominance        one holds the whole channel, the other neither gate
+//   compromise       one holds the whole channel, the other one of its gates
+export function classifyChannel(gates, gatesA, gatesB) {
+  const a = gates.filter(g => gatesA.has(g)).length;
+  const b = gates.filter(g => gatesB.has(g)).length;
+  if (a === 2 && b === 2) return "companionship";
+  if (a === 2 || b === 2) return (a === 0 || b === 0) ? "dominance" : "compromise";
+  if (a === 1 && b === 1 && gates.some(g => gatesA.has(g) && !gatesB.has(g))) return "electromagnetic";
+  return null;
+}
+
+/**************************
+CONNECTION CHART
+**************************/
+// a, b: birth inputs as for computeChart() ({ name, date, time, tz | lat/lng | place }),
+// both computed with the same calculation profile
+export async function computeConnection({ a = {}, b = {}, backgroundImage = null, calculation = undefined } = {}) {
+  const [chartA, chartB] = [await computeNatal({ ...a, calculation }), await computeNatal({ ...b, calculation })];
+  const gatesA = new Set(chartA.allGates);
+  const gatesB = new Set(chartB.allGates);
+  const nameA = chartA.name || "A", nameB = chartB.name || "B";
+
+  const channels = CHANNELS_FULL
+    .map(ch => ({ ch, kind: classifyChannel(ch.gates, gatesA, gatesB) }))
+    .filter(x => x.kind)
+    .map(({ ch, kind }) => {
+      const row = {
+        channel: ch.key,
+        kind,
+        centers: ch.centers,
+        gatesA:  ch.gates.filter(g => gatesA.has(g)),
+        gatesB:  ch.gates.filter(g => gatesB.has(g))
+      };
+      // who holds the whole channel in a dominance/compromise
+      if (kind === "dominance" || kind === "compromise") {
+        row.holder = ch.gates.every(g => gatesA.has(g)) ? nameA : nameB;
+      }
+      return row;
+    });
+
+  const { definedChannels, definedCenters } = deriveDefinition([...gatesA, ...gatesB]);
+  const graph = centerGraphFromChannels(definedChannels);
+  const { type } = computeTypeAuthority(definedCenters, graph);
+  const byKind = (k) => channels.filter(c => c.kind === k);
+
+  const person = (c, fallback) => ({
+    name: c.name || fallback, date: c.date, time: c.time, place: c.place, tz: c.tz,
+    type: c.type, profile: c.profile, authority: c.authority, definition: c.definition,
+    definedChannels: c.definedChannels, definedCenters: c.definedCenters
+  });
+
+  return {
+    calculation: chartA.calculation,
+    people: [person(chartA, "A"), person(chartB, "B")],
+    channels,
+    electromagnetic: byKind("electromagnetic").map(c => c.channel),
+    compromise:      byKind("compromise").map(c => c.channel),
+    dominance:       byKind("dominance").map(c => c.channel),
+    companionship:   byKind("companionship").map(c => c.channel),
+    // centers neither person defines alone
+    compositeOnlyCenters: definedCenters.filter(c =>
+      !chartA.definedCenters.includes(c) && !chartB.definedCenters.includes(c)),
+    openCenters: CENTERS.filter(c => !definedCenters.includes(c)),
+    composite: {
+      type,
+      definition: computeDefinitionLabel(definedCenters, graph),
+      definedChannels,
+      definedCenters
+    },
+    svg: svgBodygraph({
+      definedCenters,
+      definedChannels,
+      people: [gatesA, gatesB],
+      backgroundImage
+    })
+  };
+}
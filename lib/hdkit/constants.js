@@ -1353,3 +1353,22 @@ const fixings = {
   "64.6.exaltingPlanet": "Mercury",
   "64.6.detrimentingPlanet": "Venus"
 };
+
+module.exports = {
+  gateOrder,
+  harmonicOrder,
+  svgRaveMandalaGateOrder,
+  planetGlyphs,
+  astrologicalSigns,
+  astrologicalSignSymbols,
+  godheads,
+  iChingHexagramGlyphs,
+  aminoAcidByGate,
+  nucleicAcidSequences,
+  raveMandalaGateColors,
+  gateOf,
+  gateNames,
+  gateShortDescriptions,
+  godheadsByGate,
+  fixings
+};
@@ -0,0 +1,92 @@
+// Incarnation cross: the angle from the Personality Sun line, the name from the
+// bundled cross list (data/Incarnation_Cross_List.csv), and the Quarter and
+// Godhead of the Personality Sun gate.
+
+/**************************
+IMPORTS
+**************************/
+import fs from "node:fs";
+import { gateOrder, gateNames, godheadsByGate } from "./constants.js";
+
+
+/**************************
+ANGLE
+**************************/
+// Personality Sun line 1–3 → Right Angle, 5–6 → Left Angle. Line 4 is Right
+// Angle except for the 4/1 profile, the one Juxtaposition.
+export function crossAngle(personalitySunLine, designSunLine) {
+  if (personalitySunLine === 4 && designSunLine === 1) return "Juxtaposition";
+  if (personalitySunLine >= 5) return "Left Angle";
+  if (personalitySunLine >= 1) return "Right Angle";
+  return null;
+}
+
+/**************************
+QUARTERS
+**************************/
+// Four runs of 16 gates around the wheel, the first starting at Gate 13
+export const QUARTERS = [
+  { name: "Quarter of Initiation",  theme: "Purpose fulfilled through Mind",           firstGate: 13 },
+  { name: "Quarter of Civilization", theme: "Purpose fulfilled through Form",          firstGate: 2 },
+  { name: "Quarter of Duality",     theme: "Purpose fulfilled through Bonding",        firstGate: 7 },
+  { name: "Quarter of Mutation",    theme: "Purpose fulfilled through Transformation", firstGate: 1 }
+];
+
+export function quarterOfGate(gate) {
+  const start = gateOrder.indexOf(QUARTERS[0].firstGate);
+  const idx = gateOrder.indexOf(Number(gate));
+  if (idx === -1) return null;
+  const { name, theme } = QUARTERS[Math.floor(((idx - start + 64) % 64) / 16)];
+  return { name, theme };
+}
+
+/**************************
+CROSS LIST
+**************************/
+const CROSS_LIST_PATH = new URL("./data/Incarnation_Cross_List.csv", import.meta.url);
+const ANGLE_CODES = { "Right Angle": "Right", "Left Angle": "Left", "Juxtaposition": "Juxtaposition" };
+
+// "Right|46-25-14-8" → description; loaded on first use
+let crossIndex = null;
+function loadCrossIndex() {
+  if (crossIndex) return crossIndex;
+  const [header, ...rows] = fs.readFileSync(CROSS_LIST_PATH, "utf8")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .filter(l => l.trim());
+  const cols = header.split(",").map(s => s.trim());
+  crossIndex = new Map();
+  for (const line of rows) {
+    const cells = line.split(",");
+    const r = Object.fromEntries(cols.map((c, i) =>
+      [c, i === cols.length - 1 ? cells.slice(i).join(",").trim() : cells[i].trim()]));
+    crossIndex.set(`${r.angle}|${[r.g1, r.g2, r.g3, r.g4].map(Number).join("-")}`, r.description);
+  }
+  return crossIndex;
+}
+
+/**************************
+RESOLVE
+**************************/
+// Gates in Personality Sun/Earth, Design Sun/Earth order; lines of the two
+// Suns decide the angle. `label` is the name with its gates, as shown on a
+// chart: "The Right Angle Cross of Eden 3 (12/11 | 36/6)".
+export function resolveCross({ personalitySun, personalityEarth, designSun, designEarth, personalitySunLine, designSunLine }) {
+  const gates = [personalitySun, personalityEarth, designSun, designEarth];
+  const angle = crossAngle(personalitySunLine, designSunLine);
+  const found = angle && gates.every(g => g >= 1 && g <= 64)
+    ? loadCrossIndex().get(`${ANGLE_CODES[angle]}|${gates.join("-")}`)
+    : null;
+  const name = found || `${angle || "Incarnation"} Cross`;
+
+  return {
+    name,
+    label: `${name} (${personalitySun}/${personalityEarth} | ${designSun}/${designEarth})`,
+    angle,
+    found: Boolean(found),
+    gates: ["Personality Sun", "Personality Earth", "Design Sun", "Design Earth"]
+      .map((role, i) => ({ role, gate: gates[i], name: gateNames[gates[i]] ?? null })),
+    quarter: quarterOfGate(personalitySun),
+    godhead: godheadsByGate[personalitySun] ?? null
+  };
+}
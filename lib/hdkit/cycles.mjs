@@ -0,0 +1,121 @@
+// Life-cycle dates for a natal chart: Saturn returns, the Uranus opposition,
+// the Chiron return and yearly solar returns, each with the transit chart at
+// the exact moment. Slow planets can cross their natal point up to three times
+// (direct, retrograde, direct); every pass is reported.
+
+/**************************
+IMPORTS
+**************************/
+import swe from "swisseph";           // default import for CJS interop
+import { DateTime } from "luxon";
+import {
+  calcLon, calcLonSpeed, normDeg, findLongitudeCrossings, dateTimeFromJulianDay
+} from "./ephemeris.mjs";
+import { computeNatal } from "./chart.mjs";
+import { computeTransit } from "./transit.mjs";
+
+
+/**************************
+CYCLE TABLE
+**************************/
+// offset: degrees from the natal position (0 = return, 180 = opposition).
+// fromYears/toYears bound the search by age; passes closer than `groupYears`
+// belong to the same return.
+const YEAR = 365.2422;
+export const CYCLES = [
+  { key: "saturnReturns",    label: "Saturn return",     body: swe.SE_SATURN, offset: 0,   fromYears: 20, toYears: 100, stepDays: 5 },
+  { key: "uranusOpposition", label: "Uranus opposition", body: swe.SE_URANUS, offset: 180, fromYears: 30, toYears: 55,  stepDays: 5 },
+  { key: "chironReturn",     label: "Chiron return",     body: swe.SE_CHIRON, offset: 0,   fromYears: 40, toYears: 60,  stepDays: 5 }
+];
+const GROUP_YEARS = 3;
+
+/**************************
+HELPERS
+**************************/
+function groupPasses(passes) {
+  const groups = [];
+  for (const p of passes) {
+    const last = groups[groups.length - 1];
+    if (last && p.jd - last[last.length - 1].jd < GROUP_YEARS * YEAR) last.push(p);
+    else groups.push([p]);
+  }
+  return groups;
+}
+
+/**************************
+CYCLES
+**************************/
+// birth: as for computeChart(). Solar returns run from `fromYear` to `toYear`
+// (default: this year and the next four). `svg` adds a bodygraph to each
+// transit chart.
+export async function computeCycles({
+  birth = {},
+  fromYear = null,
+  toYear = null,
+  svg = false,
+  backgroundImage = null,
+  calculation = undefined
+} = {}) {
+  const natal = await computeNatal({ ...birth, calculation });
+  const { jdP, tz: zone } = natal;
+  const { ephemeris } = natal.calculation;
+  const lonOf = (body) => (jd) => calcLon(jd, body, ephemeris);
+
+  const moment = async (jd, direction) => {
+    const local = dateTimeFromJulianDay(jd, zone);
+    return {
+      utc:   local.toUTC().toISO(),
+      local: local.toISO({ suppressMilliseconds: true }),
+      age:   Math.round((jd - jdP) / YEAR * 100) / 100,
+      direction,
+      transit: await computeTransit({ jd, tz: zone, svg, backgroundImage, calculation })
+    };
+  };
+
+  const result = {
+    calculation: natal.calculation,
+    natal: {
+      name: natal.name, date: natal.date, time: natal.time, place: natal.place, tz: zone,
+      type: natal.type, profile: natal.profile
+    }
+  };
+
+  /**************************
+  SLOW-PLANET CYCLES
+  **************************/
+  for (const c of CYCLES) {
+    const natalLon = (await calcLonSpeed(jdP, c.body, ephemeris)).lon;
+    const target = normDeg(natalLon + c.offset);
+    const passes = await findLongitudeCrossings(
+      lonOf(c.body), target, jdP + c.fromYears * YEAR, jdP + c.toYears * YEAR, c.stepDays
+    );
+    const events = [];
+    for (const [i, group] of groupPasses(passes).entries()) {
+      events.push({
+        event: c.label,
+        number: i + 1,
+        natalLongitude: natalLon,
+        targetLongitude: target,
+        passes: await Promise.all(group.map(p => moment(p.jd, p.direction)))
+      });
+    }
+    result[c.key] = c.key === "saturnReturns" ? events : (events[0] || null);
+  }
+
+  /**************************
+  SOLAR RETURNS
+  **************************/
+  const thisYear = DateTime.now().year;
+  const y0 = fromYear ?? thisYear;
+  const y1 = toYear ?? y0 + 4;
+  const birthYear = dateTimeFromJulianDay(jdP, zone).year;
+  result.solarReturns = [];
+  for (let y = y0; y <= y1; y++) {
+    if (y <= birthYear) continue;
+    const guess = jdP + (y - birthYear) * YEAR;
+    const [hit] = await findLongitudeCrossings(lonOf(swe.SE_SUN), natal.sunLonP, guess - 3, guess + 3, 1);
+    if (hit) result.solarReturns.push({ event: "Solar return", year: y, ...(await moment(hit.jd, hit.direction)) });
+  }
+
+  return result;
+}
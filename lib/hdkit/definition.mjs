@@ -0,0 +1,108 @@
+// Gates → channels/centers → definition, type and authority
+
+/**************************
+IMPORTS
+**************************/
+import { CHANNELS_FULL, CHANNEL_BY_KEY } from "./channels.mjs";
+
+/**************************
+DERIVE CHANNELS & CENTERS
+**************************/
+export function deriveDefinition(allGates) {
+  const has = g => allGates.includes(g);
+  const definedChannels = CHANNELS_FULL
+    .filter(ch => has(ch.gates[0]) && has(ch.gates[1]))
+    .map(ch => ch.key);
+  const definedCenters = Array.from(new Set(
+    CHANNELS_FULL.filter(ch => definedChannels.includes(ch.key)).flatMap(ch => ch.centers)
+  ));
+  return { definedChannels, definedCenters };
+}
+
+/**************************
+CENTER GRAPH HELPERS
+**************************/
+export const MOTORS = new Set(["Sacral","SolarPlexus","Ego","Root"]);
+
+export function centerGraphFromChannels(chKeys) {
+  const g = new Map();
+  const add = n => { if(!g.has(n)) g.set(n, new Set()); };
+  chKeys.forEach(k => {
+    const ch = CHANNEL_BY_KEY[k]; if(!ch) return;
+    const [a,b] = ch.centers;
+    add(a); add(b); g.get(a).add(b); g.get(b).add(a);
+  });
+  return g;
+}
+
+export function components(centers, graph) {
+  const seen = new Set(), comps = [];
+  for (const c of centers) {
+    if (seen.has(c)) continue;
+    const q = [c], comp = [];
+    seen.add(c);
+    while (q.length) {
+      const x = q.shift(); comp.push(x);
+      const nbrs = graph.get(x) || new Set();
+      for (const n of nbrs) if (!seen.has(n) && centers.includes(n)) { seen.add(n); q.push(n); }
+    }
+    comps.push(comp);
+  }
+  return comps;
+}
+
+export function pathExists(graph, startSet, target) {
+  const seen = new Set(startSet), q = [...startSet];
+  while (q.length) {
+    const x = q.shift();
+    if (x === target) return true;
+    for (const n of (graph.get(x) || new Set())) if (!seen.has(n)) { seen.add(n); q.push(n); }
+  }
+  return false;
+}
+
+/**************************
+DEFINITION / TYPE / AUTHORITY
+**************************/
+export function computeDefinitionLabel(centers, graph) {
+  if (centers.length === 0) return "None";
+  const count = components(centers, graph).length;
+  return ({1:"Single Definition",2:"Split Definition",3:"Triple Split Definition",4:"Quadruple Split Definition"}[count] || "Multiple Splits");
+}
+
+export function computeTypeAuthority(centers, graph) {
+  const has = c => centers.includes(c);
+  const motors = centers.filter(c => MOTORS.has(c));
+  const sacralDefined = has("Sacral");
+  const motorToThroat = pathExists(graph, new Set(motors), "Throat");
+  let type;
+  if (centers.length === 0) type = "Reflector";
+  else if (sacralDefined && motorToThroat) type = "Manifesting Generator";
+  else if (sacralDefined) type = "Generator";
+  else if (!sacralDefined && motorToThroat) type = "Manifestor";
+  else type = "Projector";
+  let authority;
+  if (has("SolarPlexus"))            authority = "Emotional - Solar Plexus";
+  else if (sacralDefined)            authority = "Sacral";
+  else if (has("Spleen"))            authority = "Splenic";
+  else if (has("Ego"))               authority = "Ego/Heart";
+  else if (has("G") && has("Throat"))authority = "Self-Projected";
+  else if (centers.length === 0)     authority = "Lunar";
+  else                               authority = "Environment (Mental)";
+  const strategy = ({
+    "Generator": "To Respond",
+    "Manifesting Generator": "To Respond",
+    "Manifestor": "To Inform",
+    "Projector": "Wait for the Invitation",
+    "Reflector": "Wait a Lunar Cycle"
+  })[type];
+  return { type, authority, strategy };
+}
+
+export const NOT_SELF = {
+  "Generator": "Frustration",
+  "Manifesting Generator": "Frustration/Anger",
+  "Manifestor": "Anger",
+  "Projector": "Bitterness",
+  "Reflector": "Disappointment"
+};
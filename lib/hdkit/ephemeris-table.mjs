@@ -0,0 +1,120 @@
+// Printed-ephemeris style table: gate.line for every chart body at each day
+// (or hour) of a range, with retrograde stations and gate changes marked.
+
+/**************************
+IMPORTS
+**************************/
+import swe from "swisseph";           // default import for CJS interop
+import { DateTime } from "luxon";
+import { PLANETS, toJulianDay, calcLonSpeed, julianDayFromDateTime } from "./ephemeris.mjs";
+import { activationsAt } from "./chart.mjs";
+import { resolveTimezone } from "./timezone.mjs";
+import { resolveProfile, describeProfile } from "./profiles.mjs";
+import { InputError, checkOption } from "./validate.mjs";
+
+
+/**************************
+CONSTANTS
+**************************/
+// Luxon durations: a "day" row keeps its local clock time across DST changes
+export const TABLE_STEPS = { day: { days: 1 }, hour: { hours: 1 } };
+export const TABLE_FORMATS = ["csv", "json", "ndjson"];
+const MAX_ROWS = 50000;
+
+// Speed source per row: Earth moves with the Sun, both nodes with the node
+// type the profile uses
+const SPEED_IDS = Object.fromEntries(PLANETS.map(([nm, id]) => [nm, id]));
+SPEED_IDS.Earth = swe.SE_SUN;
+const speedId = (planet, node) => (planet.endsWith(" Node")
+  ? (node === "true" ? swe.SE_TRUE_NODE : swe.SE_MEAN_NODE)
+  : SPEED_IDS[planet]);
+
+/**************************
+TABLE
+**************************/
+// from/to are local dates (to inclusive) in `tz`, UTC by default. A station is
+// marked on the first row whose motion differs from the row before; a gate
+// change on the first row in the new gate.
+export async function computeEphemerisTable({
+  from = "",        // YYYY-MM-DD
+  to   = "",        // YYYY-MM-DD
+  step = "day",     // "day" | "hour"
+  tz   = "",
+  calculation = undefined
+} = {}) {
+  const calc = resolveProfile(calculation);
+  checkOption(step, Object.keys(TABLE_STEPS), "step");
+  const zone = tz ? resolveTimezone({ tz }).zone : "UTC";
+  toJulianDay(from, "00:00", zone, "from");   // validates both dates and the year range
+  toJulianDay(to,   "00:00", zone, "to");
+  // Rows are stepped on the local clock, then converted to JD one by one
+  const start = DateTime.fromISO(from, { zone });
+  const end   = DateTime.fromISO(to, { zone }).plus({ days: 1 });
+  const unit  = Object.keys(TABLE_STEPS[step])[0];
+  const count = Math.ceil(end.diff(start, unit)[unit] - 1e-9);
+  if (count < 1)        throw new InputError("INVALID_OPTION", "to", "`to` must not be before `from`");
+  if (count > MAX_ROWS) throw new InputError("INVALID_OPTION", "to", `Range too large: ${count} rows (max ${MAX_ROWS})`);
+
+  const rows = [];
+  let prev = null;
+  for (let local = start; local < end; local = local.plus(TABLE_STEPS[step])) {
+    const jd = julianDayFromDateTime(local);
+    const { activations } = await activationsAt(jd, calc);
+
+    const bodies = {};
+    for (const a of activations) {
+      const { speed } = await calcLonSpeed(jd, speedId(a.planet, calc.node), calc.ephemeris);
+      const before = prev && prev.bodies[a.planet];
+      const retrograde = speed < 0;
+      bodies[a.planet] = {
+        gate: a.gate,
+        line: a.line,
+        longitude: a.longitude,
+        speed,
+        retrograde,
+        station: before && before.retrograde !== retrograde ? (retrograde ? "retrograde" : "direct") : null,
+        gateChange: before ? before.gate !== a.gate : false
+      };
+    }
+
+    const row = { time: local.toISO({ suppressMilliseconds: true }), utc: local.toUTC().toISO(), bodies };
+    rows.push(row);
+    prev = row;
+  }
+
+  return {
+    from, to, step,
+    tz: zone,
+    calculation: describeProfile(calc),
+    bodies: Object.keys(rows[0].bodies),
+    rows
+  };
+}
+
+/**************************
+FORMATTING
+**************************/
+const csvCell = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+
+// CSV: one gate.line column per body ("R" suffix while retrograde), then the
+// stations ("Mercury SR") and gate changes ("Sun →41") that happen on that row
+function toCsv(table) {
+  const header = ["time", ...table.bodies, "stations", "gate_changes"];
+  const lines = [header.map(csvCell).join(",")];
+  for (const row of table.rows) {
+    const entries = table.bodies.map(b => [b, row.bodies[b]]);
+    const cells = entries.map(([, v]) => `${v.gate}.${v.line}${v.retrograde ? "R" : ""}`);
+    const stations = entries.filter(([, v]) => v.station)
+      .map(([b, v]) => `${b} ${v.station === "retrograde" ? "SR" : "SD"}`);
+    const changes = entries.filter(([, v]) => v.gateChange).map(([b, v]) => `${b} →${v.gate}`);
+    lines.push([row.time, ...cells, stations.join("; "), changes.join("; ")].map(csvCell).join(","));
+  }
+  return lines.join("\n");
+}
+
+export function formatEphemerisTable(table, format = "csv") {
+  checkOption(format, TABLE_FORMATS, "format");
+  if (format === "json")   return table;
+  if (format === "ndjson") return table.rows.map(r => JSON.stringify(r)).join("\n");
+  return toCsv(table);
+}
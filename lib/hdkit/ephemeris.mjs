@@ -0,0 +1,262 @@
+// Swiss Ephemeris wrappers: local time → Julian day → ecliptic longitudes
+
+/**************************
+IMPORTS
+**************************/
+import { createRequire } from "node:module";
+import path from "node:path";
+import { DateTime } from "luxon";
+import swe from "swisseph";           // default import for CJS interop
+import { resolveProfile } from "./profiles.mjs";
+import { InputError, checkDate, checkTime, checkSupportedYear } from "./validate.mjs";
+
+
+/**************************
+PLANET LIST
+**************************/
+export const PLANETS = [
+  ["Sun",      swe.SE_SUN],
+  ["Earth",    swe.SE_EARTH],
+  ["Moon",     swe.SE_MOON],
+  ["Mercury",  swe.SE_MERCURY],
+  ["Venus",    swe.SE_VENUS],
+  ["Mars",     swe.SE_MARS],
+  ["Jupiter",  swe.SE_JUPITER],
+  ["Saturn",   swe.SE_SATURN],
+  ["Uranus",   swe.SE_URANUS],
+  ["Neptune",  swe.SE_NEPTUNE],
+  ["Pluto",    swe.SE_PLUTO],
+];
+
+// Opt-in bodies some readings add on top of the 13 activations. Lilith is the
+// mean lunar apogee (Black Moon Lilith).
+export const EXTRA_BODIES = [
+  ["Chiron",   swe.SE_CHIRON],
+  ["Lilith",   swe.SE_MEAN_APOG],
+  ["Ceres",    swe.SE_CERES],
+  ["Pallas",   swe.SE_PALLAS],
+  ["Juno",     swe.SE_JUNO],
+  ["Vesta",    swe.SE_VESTA],
+];
+
+/**************************
+TIME → JULIAN DAY
+**************************/
+// `field` names the date in errors (e.g. "from" for a range start); times
+// may carry seconds (HH:MM:SS)
+export function toJulianDay(dateISO, timeHHMM, zone, field = "date") {
+  const dt = DateTime.fromISO(`${checkDate(dateISO, field)}T${checkTime(timeHHMM)}`, { zone });
+  if (!dt.isValid) throw new InputError("UNKNOWN_ZONE", "tz", `Unknown time zone: ${zone}`);
+  checkSupportedYear(dt.year, field);
+  const u = dt.toUTC();
+  const ut = u.hour + u.minute/60 + u.second/3600;
+  return swe.swe_julday(u.year, u.month, u.day, ut, swe.SE_GREG_CAL);
+}
+
+// Luxon DateTime ↔ Julian day (UT), for stepping through time in JD space
+const JD_UNIX_EPOCH = 2440587.5;
+export function julianDayFromDateTime(dt) {
+  return dt.toMillis() / 86400000 + JD_UNIX_EPOCH;
+}
+export function dateTimeFromJulianDay(jd, zone = "UTC") {
+  return DateTime.fromMillis(Math.round((jd - JD_UNIX_EPOCH) * 86400000), { zone });
+}
+
+
+/**************************
+SWISS EPHEMERIS HELPERS
+**************************/
+// `ephemeris` is a calculation profile's source: "moshier" (analytic, no
+// files) or "swiss" (the .se1 files that ship with the swisseph package,
+// 1800–2400). Moshier has no asteroids, so Chiron and the other asteroids
+// always read the files.
+export const EPHE_PATH = path.join(
+  path.dirname(createRequire(import.meta.url).resolve("swisseph")), "..", "ephe"
+);
+const FILE_ONLY_BODIES = new Set([swe.SE_CHIRON, swe.SE_CERES, swe.SE_PALLAS, swe.SE_JUNO, swe.SE_VESTA]);
+let ephePathSet = false;
+
+function sweFlags(planet, ephemeris = "moshier") {
+  if (ephemeris !== "swiss" && !FILE_ONLY_BODIES.has(planet)) return swe.SEFLG_MOSEPH;
+  if (!ephePathSet) { swe.swe_set_ephe_path(EPHE_PATH); ephePathSet = true; }
+  return swe.SEFLG_SWIEPH;
+}
+
+// The planets fall back to Moshier outside the bundled files; the asteroids
+// can't, so a date before/after seas_18.se1 is out of range rather than a crash
+function calcError(res, planet, jd) {
+  if (FILE_ONLY_BODIES.has(planet) && /not found/.test(res.error)) {
+    const name = (EXTRA_BODIES.find(([, id]) => id === planet) || [String(planet)])[0];
+    const when = dateTimeFromJulianDay(jd).toISODate();
+    return new InputError("OUT_OF_RANGE", "extraBodies",
+      `${name} is not available for ${when}: the bundled asteroid ephemeris covers 1800–2399`);
+  }
+  return new Error(res.error);
+}
+
+// Which ephemeris a result actually came from: outside the .se1 files' range
+// Swiss Ephemeris quietly falls back to Moshier and says so only in the flags
+export function ephemerisFromFlags(rflag) {
+  if (rflag & swe.SEFLG_SWIEPH) return "swiss";
+  if (rflag & swe.SEFLG_MOSEPH) return "moshier";
+  return null;
+}
+
+// calcLon() plus the ephemeris the longitude came from
+export function calcLonWithSource(jd, planet, ephemeris = "moshier") {
+  return new Promise((resolve, reject) => {
+    swe.swe_calc_ut(jd, planet, sweFlags(planet, ephemeris), (res) => {
+      if (res.error) return reject(calcError(res, planet, jd));
+      resolve({ lon: (res.longitude % 360 + 360) % 360, ephemeris: ephemerisFromFlags(res.rflag) });
+    });
+  });
+}
+
+export function calcLon(jd, planet, ephemeris = "moshier") {
+  return new Promise((resolve, reject) => {
+    swe.swe_calc_ut(jd, planet, sweFlags(planet, ephemeris), (res) => {
+      if (res.error) return reject(calcError(res, planet, jd));
+      resolve((res.longitude % 360 + 360) % 360);
+    });
+  });
+}
+
+// Lunar nodes (mean or true); south is always north + 180°
+export function nodePair(jd, useTrue = false, ephemeris = "moshier") {
+  return new Promise((resolve, reject) => {
+    const which = useTrue ? swe.SE_TRUE_NODE : swe.SE_MEAN_NODE;
+    swe.swe_calc_ut(jd, which, sweFlags(which, ephemeris), (res) => {
+      if (res.error) return reject(new Error(res.error));
+      const north = ((res.longitude % 360) + 360) % 360;
+      const south = (north + 180) % 360;
+      resolve({ north, south });
+    });
+  });
+}
+
+// Longitude plus daily speed (negative while retrograde)
+export function calcLonSpeed(jd, planet, ephemeris = "moshier") {
+  return new Promise((resolve, reject) => {
+    swe.swe_calc_ut(jd, planet, sweFlags(planet, ephemeris) | swe.SEFLG_SPEED, (res) => {
+      if (res.error) return reject(calcError(res, planet, jd));
+      resolve({ lon: (res.longitude % 360 + 360) % 360, speed: res.longitudeSpeed });
+    });
+  });
+}
+
+// Body name → async jd → longitude, for the 13 chart rows plus EXTRA_BODIES.
+// Earth is Sun + 180°; nodes follow the profile's node type, as in the chart.
+export function bodyLongitude(name, profile) {
+  const { ephemeris, node } = resolveProfile(profile);
+  const useTrue = node === "true";
+  if (name === "Earth")      return async (jd) => normDeg(await calcLon(jd, swe.SE_SUN, ephemeris) + 180);
+  if (name === "North Node") return async (jd) => (await nodePair(jd, useTrue, ephemeris)).north;
+  if (name === "South Node") return async (jd) => (await nodePair(jd, useTrue, ephemeris)).south;
+  const id = (PLANETS.concat(EXTRA_BODIES).find(([nm]) => nm === name) || [])[1];
+  if (id === undefined) throw new InputError("INVALID_OPTION", "body", `Unknown body: ${name}`);
+  return async (jd) => calcLon(jd, id, ephemeris);
+}
+
+// Sampling step short enough to catch every retrograde loop (and the true
+// node's wobble) for each body
+export const BODY_STEP_DAYS = {
+  Moon: 0.25, "North Node": 0.25, "South Node": 0.25,
+  Sun: 0.5, Earth: 0.5, Mercury: 0.5, Venus: 0.5,
+  Mars: 1
+};
+export const DEFAULT_STEP_DAYS = 2;
+
+
+export function normDeg(d) { d %= 360; return d < 0 ? d + 360 : d; }
+export function angDiff(a, b) { // signed smallest difference a->b in degrees
+  let d = normDeg(b) - normDeg(a);
+  if (d > 180) d -= 360;
+  if (d < -180) d += 360;
+  return d;
+}
+
+/**************************
+LONGITUDE CROSSINGS
+**************************/
+// Every moment in [jdFrom, jdTo] at which a body passes `targetLon`. Samples
+// every `stepDays`, then bisects each sign change of the angular distance to
+// ~0.1 s. `body` is a swe planet id or an async jd → longitude function (for
+// Earth, nodes, ...). direction is "direct" or "retrograde".
+// The step must be shorter than the body's shortest retrograde loop, or a
+// pass and its re-crossing inside one step go unseen.
+export async function findLongitudeCrossings(body, targetLon, jdFrom, jdTo, stepDays = 1) {
+  const lonAt = typeof body === "function" ? body : async (jd) => (await calcLonSpeed(jd, body)).lon;
+  const dist = async (jd) => angDiff(targetLon, await lonAt(jd)); // signed, -180..180
+
+  const out = [];
+  let jdA = jdFrom, dA = await dist(jdA);
+  while (jdA < jdTo) {
+    const jdB = Math.min(jdA + stepDays, jdTo);
+    const dB = await dist(jdB);
+    // sign change near the target (not the ±180° wrap on the far side)
+    if (Math.sign(dA) !== Math.sign(dB) && Math.abs(dA) < 90 && Math.abs(dB) < 90 && dB !== 0) {
+      let lo = jdA, hi = jdB, dLo = dA;
+      while (hi - lo > 1e-6) {
+        const mid = (lo + hi) / 2;
+        const dM = await dist(mid);
+        if (Math.sign(dM) === Math.sign(dLo) && dM !== 0) { lo = mid; dLo = dM; } else hi = mid;
+      }
+      out.push({ jd: hi, direction: dA < dB ? "direct" : "retrograde" });
+    }
+    jdA = jdB; dA = dB;
+  }
+  return out;
+}
+
+/**************************
+PRENATAL/DESIGN JD FINDER (SOLAR ARC)
+**************************/
+// Newton's method on the Sun's longitude, stepping by its actual speed from
+// Swiss Ephemeris rather than a mean rate. The Sun is never retrograde, so
+// each step lands closer; a handful of rounds reaches the tolerance.
+const DESIGN_TOLERANCE_DAYS = 1e-7;   // ≈ 0.009 s
+const DESIGN_MAX_ROUNDS = 20;
+
+// → { jd, residualDeg, residualSeconds, iterations, converged }
+// residualDeg: how far the Sun at `jd` still is from birth Sun − arcDeg.
+// Pass an array as `steps` to collect each round ({ jd, sunLon, speed, stepDays }).
+export async function solveDesignMoment(jdBirth, arcDeg = 88.0, ephemeris = "moshier", steps = null) {
+  const sunLonBirth = await calcLon(jdBirth, swe.SE_SUN, ephemeris);
+  const target = normDeg(sunLonBirth - arcDeg);
+
+  let jd = jdBirth - arcDeg / 0.9856;  // mean solar motion, as a first guess
+  let iterations = 0, converged = false;
+  while (iterations < DESIGN_MAX_ROUNDS) {
+    iterations++;
+    const { lon, speed } = await calcLonSpeed(jd, swe.SE_SUN, ephemeris);
+    const step = angDiff(target, lon) / speed;  // days to move back (or forward)
+    if (steps) steps.push({ jd, sunLon: lon, speed, stepDays: step });
+    jd -= step;
+    if (Math.abs(step) < DESIGN_TOLERANCE_DAYS) { converged = true; break; }
+  }
+
+  const { lon, speed } = await calcLonSpeed(jd, swe.SE_SUN, ephemeris);
+  const residualDeg = angDiff(target, lon);
+  return {
+    jd,
+    residualDeg,
+    residualSeconds: residualDeg / speed * 86400,
+    iterations,
+    converged
+  };
+}
+
+// Julian day only, for callers that just need the moment
+export async function findDesignJDBySolarArc(jdBirth, arcDeg = 88.0, ephemeris = "moshier") {
+  return (await solveDesignMoment(jdBirth, arcDeg, ephemeris)).jd;
+}
+
+// Design moment per the profile: 88° of solar arc (solved as above) or a
+// fixed number of days before birth. `steps` as for solveDesignMoment().
+export async function findDesignMoment(jdBirth, profile, steps = null) {
+  const { design, ephemeris } = resolveProfile(profile);
+  if (design.method === "days") {
+    return { jd: jdBirth - design.days, residualDeg: 0, residualSeconds: 0, iterations: 0, converged: true };
+  }
+  return solveDesignMoment(jdBirth, design.arcDeg, ephemeris, steps);
+}
@@ -0,0 +1,73 @@
+// Exaltation / detriment ("fixing") per activation, from the `fixings` table:
+// each gate.line has an exalting and a detrimenting planet. A line is fixed
+// when that planet is the one activating it, or when the planet sits in the
+// same gate or its harmonic gate elsewhere in the chart (harmonic fixing).
+//   ▲ exalted   ▼ detriment   ✱ juxtaposed (both at once)
+
+/**************************
+IMPORTS
+**************************/
+import { gateOrder, harmonicOrder, fixings } from "./constants.js";
+
+
+/**************************
+HARMONICS
+**************************/
+// e.g. 41 -> 30; the integration gates (34, 20, 10, 57) give all three others
+export function harmonicGate(gate) {
+  const index = gateOrder.indexOf(gate);
+  return harmonicOrder[index];
+}
+
+// Returns true if planet is in either gate or its harmonic
+export function isFixed(gate, planet, personalityEntry) {
+  const integrationGates = [34, 20, 10, 57];
+  const fixingPlanetGate = personalityEntry[planet.trim()].g;
+  if (fixingPlanetGate == gate || fixingPlanetGate == harmonicGate(gate)
+    || (integrationGates.includes(gate) && integrationGates.includes(fixingPlanetGate))) {
+    return true;
+  }
+  return false;
+}
+
+/**************************
+MARKERS
+**************************/
+export const FIXING_MARKERS = { exalted: "▲", detriment: "▼", juxtaposed: "✱" };
+
+// { exalting, detrimenting } planet names for a gate.line (null when unlisted)
+export function fixingPlanets(gate, line) {
+  const get = (k) => (fixings[`${gate}.${line}.${k}`] || "").trim() || null;
+  return { exalting: get("exaltingPlanet"), detrimenting: get("detrimentingPlanet") };
+}
+
+// Activation rows → isFixed() entries ({ Sun: { g, l }, ... }), one per side
+const entryOf = (activations) =>
+  Object.fromEntries(activations.map(a => [a.planet, { g: a.gate, l: a.line }]));
+
+// Fixing for one activation. `sides` are the chart's activation columns
+// (Personality and Design); harmonic fixing looks at both.
+export function activationFixing(activation, sides) {
+  const { exalting, detrimenting } = fixingPlanets(activation.gate, activation.line);
+  const entries = sides.map(entryOf);
+  const via = (fixer) => {
+    if (!fixer) return null;
+    if (fixer === activation.planet) return "planet";
+    return entries.some(e => e[fixer] && isFixed(activation.gate, fixer, e)) ? "harmonic" : null;
+  };
+  const exaltedVia = via(exalting), detrimentVia = via(detrimenting);
+  const marker = exaltedVia && detrimentVia ? FIXING_MARKERS.juxtaposed
+    : exaltedVia ? FIXING_MARKERS.exalted
+    : detrimentVia ? FIXING_MARKERS.detriment
+    : null;
+
+  return {
+    marker,
+    exalted: Boolean(exaltedVia),
+    detriment: Boolean(detrimentVia),
+    exaltingPlanet: exalting,
+    detrimentingPlanet: detrimenting,
+    exaltedVia,
+    detrimentVia
+  };
+}
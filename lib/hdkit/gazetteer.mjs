@@ -0,0 +1,104 @@
+// Offline birthplace lookup: city prefix search with country disambiguation,
+// coordinates and IANA zone. Backed by the city-timezones dataset (~7 300
+// cities from Natural Earth), so no Google/Places call is needed.
+
+/**************************
+IMPORTS
+**************************/
+import cityTimezones from "city-timezones";
+import tzLookup from "@photostructure/tz-lookup";
+
+
+/**************************
+INDEX (BUILT ONCE PER PROCESS)
+**************************/
+// Lowercase, strip accents and punctuation: "Zürich" → "zurich", "St. John's" → "st johns"
+export function normalizePlaceName(s) {
+  return String(s || "")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[.'’`]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+const PLACES = cityTimezones.cityMapping.map((c, i) => ({
+  id:          i,
+  name:        c.city,
+  province:    c.province || "",
+  country:     c.country,
+  countryCode: c.iso2,
+  lat:         c.lat,
+  lng:         c.lng,
+  tz:          c.timezone || tzLookup(c.lat, c.lng),
+  population:  Math.round(c.pop || 0),
+  keys: new Set([normalizePlaceName(c.city), normalizePlaceName(c.city_ascii)]),
+  countryKeys: new Set([c.iso2, c.iso3, c.country].map(normalizePlaceName)),
+  provinceKeys: new Set([c.province, c.state_ansi].filter(Boolean).map(normalizePlaceName)),
+}));
+
+/**************************
+HELPERS
+**************************/
+function publicPlace(p) {
+  const label = [p.name, p.province && p.province !== p.name ? p.province : null, p.country]
+    .filter(Boolean).join(", ");
+  return {
+    id: p.id, name: p.name, province: p.province,
+    country: p.country, countryCode: p.countryCode,
+    lat: p.lat, lng: p.lng, tz: p.tz, population: p.population,
+    label
+  };
+}
+
+// "Dublin, Ireland" / "Dublin, GA, USA" → { city: "dublin", qualifiers: ["ga", "usa"] }
+function splitQuery(query) {
+  const parts = String(query || "").split(",").map(normalizePlaceName).filter(Boolean);
+  return { city: parts[0] || "", qualifiers: parts.slice(1) };
+}
+
+function matchesQualifier(p, q) {
+  const keys = [...p.countryKeys, ...p.provinceKeys];
+  return keys.some(k => k === q || k.startsWith(q));
+}
+
+/**************************
+SEARCH
+**************************/
+// Prefix search on the city name. `country` (ISO2/ISO3 code or name) and the
+// last ", qualifier" of the query must match the country or state/province;
+// any middle qualifiers ("County Dublin") only help the ranking. Exact name
+// matches rank first, then more qualifier hits, then larger cities.
+export function searchPlaces(query, { country = "", limit = 10 } = {}) {
+  const { city, qualifiers } = splitQuery(query);
+  if (!city) return [];
+  const required = qualifiers.slice(-1).concat(country ? [normalizePlaceName(country)] : []);
+  const optional = qualifiers.slice(0, -1);
+
+  const hits = [];
+  for (const p of PLACES) {
+    let exact = false, prefix = false;
+    for (const k of p.keys) {
+      if (k === city) exact = true;
+      else if (k.startsWith(city)) prefix = true;
+    }
+    if (!exact && !prefix) continue;
+    if (!required.every(q => matchesQualifier(p, q))) continue;
+    const score = optional.filter(q => matchesQualifier(p, q)).length;
+    hits.push({ p, exact, score });
+  }
+
+  hits.sort((a, b) =>
+    (b.exact - a.exact) || (b.score - a.score) || (b.p.population - a.p.population));
+  return hits.slice(0, Math.max(1, limit)).map(h => publicPlace(h.p));
+}
+
+// Best single match for free text such as "Dublin, Ireland", or null
+export function lookupPlace(query, opts = {}) {
+  return searchPlaces(query, { ...opts, limit: 1 })[0] || null;
+}
+
+export function placeById(id) {
+  const p = PLACES[Number(id)];
+  return p ? publicPlace(p) : null;
+}
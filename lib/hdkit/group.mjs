@@ -0,0 +1,172 @@
+// Group analysis: Penta (3–5 people) and team/WA mode (6+).
+// Each member goes through the same natal pipeline; the group is read from
+// the union of everyone's gates (allGates), counting who brings what.
+
+/**************************
+IMPORTS
+**************************/
+import { computeNatal } from "./chart.mjs";
+import { CENTERS, CHANNELS_FULL, CHANNEL_BY_KEY } from "./channels.mjs";
+import {
+  deriveDefinition, centerGraphFromChannels, computeDefinitionLabel
+} from "./definition.mjs";
+import { svgBodygraph, GROUP_COLOR_KEY } from "./bodygraph-svg.mjs";
+import { gateNames } from "./constants.js";
+import { InputError } from "./validate.mjs";
+
+
+/**************************
+PENTA POSITIONS
+**************************/
+// The six channels between Throat, G and Sacral; the upper three carry the
+// Penta's direction, the lower three its production.
+export const PENTA_CHANNELS = [
+  { key: "7-31",  part: "upper", name: "The Alpha",    roles: { 31: "Leadership",  7: "Logic / Direction" } },
+  { key: "1-8",   part: "upper", name: "Inspiration",  roles: { 8: "Marketing",    1: "Creativity" } },
+  { key: "13-33", part: "upper", name: "The Prodigal", roles: { 33: "Memory",      13: "Listening" } },
+  { key: "5-15",  part: "lower", name: "Rhythm",       roles: { 15: "Flow",        5: "Organization" } },
+  { key: "2-14",  part: "lower", name: "The Beat",     roles: { 2: "Direction of resources", 14: "Resources" } },
+  { key: "29-46", part: "lower", name: "Discovery",    roles: { 46: "Embodiment",  29: "Commitment" } }
+];
+export const PENTA_GATES = new Set(PENTA_CHANNELS.flatMap(c => CHANNEL_BY_KEY[c.key].gates));
+
+export const PENTA_MIN = 3, PENTA_MAX = 5;
+
+/**************************
+HELPERS
+**************************/
+// gate → names of the members who hold it
+function holdersByGate(members) {
+  const out = {};
+  for (const m of members) {
+    for (const g of new Set(m.allGates)) (out[g] ||= []).push(m.name);
+  }
+  return out;
+}
+
+function gatePosition(g, holders, role) {
+  const who = holders[g] || [];
+  return {
+    gate: g,
+    name: gateNames[g],
+    ...(role ? { role } : {}),
+    filled: who.length > 0,
+    members: who,
+    redundancy: who.length
+  };
+}
+
+// Gates colored by redundancy (held by two or more members vs. exactly one),
+// with the legend drawn in; GROUP_COLOR_KEY goes out with it as `colorKey`
+function groupSvg({ gates, holders, definedChannels, definedCenters, backgroundImage }) {
+  const shared = new Set(gates.filter(g => (holders[g] || []).length > 1));
+  const single = new Set(gates.filter(g => (holders[g] || []).length === 1));
+  return svgBodygraph({
+    definedCenters,
+    definedChannels,
+    group: [shared, single],
+    backgroundImage
+  });
+}
+
+/**************************
+PENTA (3–5)
+**************************/
+function pentaReport(holders, backgroundImage) {
+  const channels = PENTA_CHANNELS.map(pc => {
+    const gates = CHANNEL_BY_KEY[pc.key].gates;
+    const positions = gates.map(g => gatePosition(g, holders, pc.roles[g]));
+    return {
+      channel: pc.key,
+      name: pc.name,
+      part: pc.part,
+      complete: positions.every(p => p.filled),
+      positions
+    };
+  });
+  const positions = channels.flatMap(c => c.positions);
+
+  const pentaGates = [...PENTA_GATES].filter(g => holders[g]);
+  const { definedChannels, definedCenters } = deriveDefinition(pentaGates);
+
+  return {
+    channels,
+    filled: positions.filter(p => p.filled).length,
+    of: positions.length,
+    gaps: positions.filter(p => !p.filled).map(({ gate, name, role }) => ({ gate, name, role })),
+    redundant: positions.filter(p => p.redundancy > 1)
+      .map(({ gate, role, members: who }) => ({ gate, role, members: who })),
+    svg: groupSvg({ gates: pentaGates, holders, definedChannels, definedCenters, backgroundImage }),
+    colorKey: GROUP_COLOR_KEY
+  };
+}
+
+/**************************
+TEAM / WA (6+)
+**************************/
+// Past five people a Penta no longer holds the group together, so the team
+// is read on the whole bodygraph: every channel the group forms and how many
+// members carry each gate.
+function teamReport(members, holders, backgroundImage) {
+  const gates = Object.keys(holders).map(Number).sort((a, b) => a - b);
+  const { definedChannels, definedCenters } = deriveDefinition(gates);
+  const graph = centerGraphFromChannels(definedChannels);
+
+  const channels = CHANNELS_FULL
+    .filter(ch => definedChannels.includes(ch.key))
+    .map(ch => ({
+      channel: ch.key,
+      centers: ch.centers,
+      positions: ch.gates.map(g => gatePosition(g, holders)),
+      // members who carry the whole channel on their own
+      heldBy: members.filter(m => ch.gates.every(g => m.allGates.includes(g))).map(m => m.name)
+    }));
+
+  return {
+    channels,
+    definition: computeDefinitionLabel(definedCenters, graph),
+    definedCenters,
+    openCenters: CENTERS.filter(c => !definedCenters.includes(c)),
+    missingGates: Array.from({ length: 64 }, (_, i) => i + 1).filter(g => !holders[g]),
+    pentaGaps: [...PENTA_GATES].filter(g => !holders[g]),
+    svg: groupSvg({ gates, holders, definedChannels, definedCenters, backgroundImage }),
+    colorKey: GROUP_COLOR_KEY
+  };
+}
+
+/**************************
+GROUP
+**************************/
+// members: birth inputs as for computeChart(), each with a name; all of them
+// use the same calculation profile
+export async function computeGroup({ members = [], backgroundImage = null, calculation = undefined } = {}) {
+  if (!Array.isArray(members)) {
+    throw new InputError("INVALID_OPTION", "members", "members must be an array of { name, date, time, tz | lat/lng | place }");
+  }
+  if (members.length < PENTA_MIN) {
+    throw new InputError("INVALID_OPTION", "members", `A group needs at least ${PENTA_MIN} members (got ${members.length})`);
+  }
+
+  const charts = [];
+  for (const [i, m] of members.entries()) {
+    const c = await computeNatal({ ...m, calculation });
+    charts.push({ ...c, name: c.name || `Member ${i + 1}` });
+  }
+  const holders = holdersByGate(charts);
+  const mode = charts.length <= PENTA_MAX ? "penta" : "team";
+
+  return {
+    mode,
+    calculation: charts[0].calculation,
+    members: charts.map(c => ({
+      name: c.name, date: c.date, time: c.time, tz: c.tz,
+      type: c.type, profile: c.profile,
+      gates: [...new Set(c.allGates)].sort((a, b) => a - b),
+      // gates nobody else in the group brings
+      uniqueGates: [...new Set(c.allGates)].filter(g => holders[g].length === 1).sort((a, b) => a - b)
+    })),
+    ...(mode === "penta"
+      ? pentaReport(holders, backgroundImage)
+      : teamReport(charts, holders, backgroundImage))
+  };
+}
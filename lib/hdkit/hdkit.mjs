@@ -0,0 +1,82 @@
+// MIT License
+
+// Copyright (c) 2016-2023 Jonah Dempcy
+
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import { gateOrder } from "./constants.js";
+import { toJulianDay, findDesignJDBySolarArc } from "./ephemeris.mjs";
+import { gateLineFromLongitude } from "./mandala.mjs";
+import { deriveDefinition } from "./definition.mjs";
+import { svgBodygraph } from "./bodygraph-svg.mjs";
+import { computeChart } from "./chart.mjs";
+import { PROFILES, resolveProfile } from "./profiles.mjs";
+import { InputError, SUPPORTED_YEARS } from "./validate.mjs";
+import { resolveCross } from "./cross.mjs";
+import { gateInfo, enrichActivation } from "./reference.mjs";
+import { analyzeCircuitry } from "./circuitry.mjs";
+import { hangingGates, undefinedCenters, bridgingGates } from "./bridging.mjs";
+
+export {
+  toJulianDay, findDesignJDBySolarArc, gateLineFromLongitude, deriveDefinition, svgBodygraph, computeChart,
+  PROFILES, resolveProfile, InputError, SUPPORTED_YEARS, resolveCross,
+  gateInfo, enrichActivation, analyzeCircuitry, hangingGates, undefinedCenters, bridgingGates
+};
+
+// e.g. const chart = await HDKit.computeChart({ date: "1985-06-15", time: "14:30", tz: "Europe/Dublin" });
+// Pass calculation: "precise" (or { profile, node: "mean", ... }) to change the settings.
+const HDKit = {
+  computeChart,
+  PROFILES,
+  resolveProfile,
+  toJulianDay,
+  findDesignJDBySolarArc,
+  gateLineFromLongitude,
+  deriveDefinition,
+  svgBodygraph
+};
+
+export default HDKit;
+
+// Helpers
+
+// isFixed / harmonicGate live with the exaltation/detriment markers
+export { isFixed, harmonicGate, activationFixing } from "./fixing.mjs";
+
+export function oppositeGate(gate) {
+  const index = gateOrder.indexOf(gate);
+  const oppositeIndex = (index + 32) % gateOrder.length;
+  return gateOrder[oppositeIndex];
+}
+
+// e.g. 41 -> 19
+export function nextGate(gate) {
+  const index = gateOrder.indexOf(gate);
+  return gateOrder[(index + 1) % gateOrder.length];
+}
+
+// e.g. 2 -> 3
+export function nextLine(line) {
+  return line === 6 ? 1 : line + 1;
+}
+
+// e.g. 41, 6 -> '19.1'
+export function nextGateAndLine(gate, line) {
+  return line === 6 ? nextGate(gate) + '.' + nextLine(line) : gate + '.' + nextLine(line);
+}
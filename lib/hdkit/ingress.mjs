@@ -0,0 +1,87 @@
+// Gate / gate.line ingress search: the exact moments a body enters (and
+// leaves) a gate or line over a date range, retrograde re-entries included.
+
+/**************************
+IMPORTS
+**************************/
+import {
+  toJulianDay, dateTimeFromJulianDay, findLongitudeCrossings,
+  bodyLongitude, BODY_STEP_DAYS, DEFAULT_STEP_DAYS
+} from "./ephemeris.mjs";
+import { longitudeSpan } from "./mandala.mjs";
+import { resolveProfile, describeProfile } from "./profiles.mjs";
+import { resolveTimezone } from "./timezone.mjs";
+import { InputError } from "./validate.mjs";
+
+
+/**************************
+TARGET
+**************************/
+// "41" → { gate: 41, line: null }, "41.3" → { gate: 41, line: 3 }
+export function parseGateTarget(target) {
+  const m = String(target ?? "").trim().match(/^(\d{1,2})(?:\.(\d))?$/);
+  const gate = m && parseInt(m[1], 10), line = m && m[2] ? parseInt(m[2], 10) : null;
+  if (!m || gate < 1 || gate > 64 || (line !== null && (line < 1 || line > 6))) {
+    throw new InputError("INVALID_OPTION", "gate", `Expected a gate or gate.line, e.g. 41 or 41.3: ${target}`);
+  }
+  return { gate, line };
+}
+
+/**************************
+SEARCH
+**************************/
+// Crossing the start boundary moving direct, or the end boundary moving
+// retrograde, is an entry; the other two are exits. Returns every crossing
+// in time order.
+export async function findIngresses(body, gate, line, jdFrom, jdTo, calculation) {
+  const calc = resolveProfile(calculation);
+  const { start, end } = longitudeSpan(gate, line, calc.mandala);
+  const lonAt = bodyLongitude(body, calc);
+  const step = BODY_STEP_DAYS[body] ?? DEFAULT_STEP_DAYS;
+
+  const atStart = (await findLongitudeCrossings(lonAt, start, jdFrom, jdTo, step))
+    .map(c => ({ ...c, boundary: "start", event: c.direction === "direct" ? "enter" : "exit" }));
+  const atEnd = (await findLongitudeCrossings(lonAt, end % 360, jdFrom, jdTo, step))
+    .map(c => ({ ...c, boundary: "end", event: c.direction === "retrograde" ? "enter" : "exit" }));
+
+  return atStart.concat(atEnd).sort((a, b) => a.jd - b.jd);
+}
+
+// from/to are local dates (to is inclusive) read in `tz`, UTC by default
+export async function computeIngresses({
+  body   = "Sun",
+  target = "",      // "41" or "41.3"
+  from   = "",      // YYYY-MM-DD
+  to     = "",      // YYYY-MM-DD
+  tz     = "",
+  calculation = undefined
+} = {}) {
+  const calc = resolveProfile(calculation);
+  const { gate, line } = parseGateTarget(target);
+  const zone = tz ? resolveTimezone({ tz }).zone : "UTC";
+  const jdFrom = toJulianDay(from, "00:00", zone, "from");
+  const jdTo   = toJulianDay(to, "00:00", zone, "to") + 1;
+  if (!(jdTo > jdFrom)) throw new InputError("INVALID_OPTION", "to", "`to` must not be before `from`");
+
+  const crossings = await findIngresses(body, gate, line, jdFrom, jdTo, calc);
+  const { start, end } = longitudeSpan(gate, line, calc.mandala);
+  return {
+    body,
+    target: line === null ? `${gate}` : `${gate}.${line}`,
+    span: { start, end: end % 360 },
+    from, to,
+    tz: zone,
+    calculation: describeProfile(calc),
+    crossings: crossings.map(c => {
+      const local = dateTimeFromJulianDay(c.jd, zone);
+      return {
+        event:     c.event,
+        direction: c.direction,
+        boundary:  c.boundary,
+        utc:       local.toUTC().toISO(),
+        local:     local.toISO({ suppressMilliseconds: true }),
+        jd:        c.jd
+      };
+    })
+  };
+}
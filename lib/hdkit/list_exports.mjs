@@ -1,7 +1,7 @@
 let HD = null;
-try { HD = await import("./hdkit.js"); }
+try { HD = await import("./hdkit.mjs"); }
 catch (e) {
-  console.error("Could not load hdkit.js:", e.message);
+  console.error("Could not load hdkit.mjs:", e.message);
   process.exit(1);
 }
 console.log("HDKIT EXPORTS:", Object.keys(HD));
@@ -0,0 +1,106 @@
+// Ecliptic longitude → Gate.Line on the Rave Mandala
+
+/**************************
+ZODIAC → GATE CONSTANTS
+**************************/
+export const DEG_PER_GATE = 360 / 64;
+// Align Gate 41 ~ 302° (≈ 2° Aquarius)
+export const GATE_ORDER = [
+  41,19,13,49,30,55,37,63,22,36,25,17,21,51,42,3,
+  27,24,2,23,8,20,16,35,45,12,15,52,39,53,62,56,
+  31,33,7,4,29,59,40,64,47,6,46,18,48,57,32,50,
+  28,44,1,43,14,34,9,5,26,11,10,58,38,54,61,60
+];
+
+/**************************
+LONGITUDE → GATE.LINE
+**************************/
+// ---- Mandala anchor: Gate 41 starts at 0° Aquarius (300° ecliptic lon)
+export const ANCHOR_LON = 302;     // degrees
+export const ANCHOR_GATE = 41;     // first gate at anchor
+
+// Ensure the first gate in order is 41 by rotating your existing GATE_ORDER.
+// (If GATE_ORDER already starts at 41, this is a no-op.)
+function rotateOrderToAnchor(order, gate) {
+  const i = order.indexOf(gate);
+  return i === -1 ? order.slice() : order.slice(i).concat(order.slice(0, i));
+}
+
+// If your list is reversed relative to zodiac direction, flip this to true once and test.
+export const REVERSED = false;
+
+// Build an aligned order we’ll use everywhere
+function alignedOrder(reversed) {
+  const base = reversed ? GATE_ORDER.slice().reverse() : GATE_ORDER.slice();
+  return rotateOrderToAnchor(base, ANCHOR_GATE);
+}
+export const ORDER_ALIGNED = alignedOrder(REVERSED);
+const ORDER_REVERSED = alignedOrder(!REVERSED);
+
+// A calculation profile's `mandala` ({ anchorLon, reversed }); the constants
+// above are the default
+export const DEFAULT_MANDALA = { anchorLon: ANCHOR_LON, reversed: REVERSED };
+const orderFor = (mandala) => (Boolean(mandala.reversed) === REVERSED ? ORDER_ALIGNED : ORDER_REVERSED);
+
+
+
+// Sub-line precision: 6 lines per gate, 6 colors per line, 6 tones per color,
+// 5 bases per tone → 69 120 bases around the wheel
+export const DEG_PER_LINE  = DEG_PER_GATE / 6;
+export const DEG_PER_COLOR = DEG_PER_LINE / 6;
+export const DEG_PER_TONE  = DEG_PER_COLOR / 6;
+export const DEG_PER_BASE  = DEG_PER_TONE / 5;
+const BASES_PER_WHEEL = Math.round(360 / DEG_PER_BASE);
+
+// Full activation for one longitude:
+// { longitude, gate, line, color, tone, base, degreeInGate }
+export function activationFromLongitude(lon, mandala = DEFAULT_MANDALA) {
+  const eps = 1e-6; // tame float edges (in bases, ≈ 5e-9°)
+
+  // measure from the anchor (Gate 41 @ 302° by default)
+  let delta = lon - mandala.anchorLon;
+  delta = ((delta % 360) + 360) % 360; // 0..360
+
+  // Count whole bases from the anchor; an exact boundary rolls into the next
+  // gate/line/color/tone/base instead of producing a 7th line or 65th gate.
+  const baseIdx = Math.floor(delta / DEG_PER_BASE + eps) % BASES_PER_WHEEL;
+
+  const base    = baseIdx % 5 + 1;
+  const tone    = Math.floor(baseIdx / 5) % 6 + 1;
+  const color   = Math.floor(baseIdx / 30) % 6 + 1;
+  const line    = Math.floor(baseIdx / 180) % 6 + 1;
+  const gateIdx = Math.floor(baseIdx / 1080);
+
+  let degreeInGate = delta - gateIdx * DEG_PER_GATE;
+  if (degreeInGate < 0 || degreeInGate >= DEG_PER_GATE) degreeInGate = 0; // rolled over
+
+  return {
+    longitude: normLon(lon),
+    gate: orderFor(mandala)[gateIdx] ?? null,
+    line, color, tone, base,
+    degreeInGate
+  };
+}
+
+function normLon(lon) { return ((lon % 360) + 360) % 360; }
+
+export function gateLineFromLongitude(lon, mandala = DEFAULT_MANDALA) {
+  const { gate, line } = activationFromLongitude(lon, mandala);
+  return [gate, line];
+}
+
+/**************************
+GATE.LINE → LONGITUDE (INVERSE)
+**************************/
+// Longitude span [start, end) of a gate, or of one line within it, on the same
+// anchor/order as activationFromLongitude(). start is 0..360; end = start +
+// width, so it can exceed 360 when the span wraps past 0° Aries.
+export function longitudeSpan(gate, line = null, mandala = DEFAULT_MANDALA) {
+  const idx = orderFor(mandala).indexOf(Number(gate));
+  if (idx === -1) throw new Error(`Unknown gate: ${gate}`);
+  if (line !== null && !(line >= 1 && line <= 6)) throw new Error(`Line must be 1-6: ${line}`);
+  const gateStart = mandala.anchorLon + idx * DEG_PER_GATE;
+  const start = line === null ? gateStart : gateStart + (line - 1) * DEG_PER_LINE;
+  const width = line === null ? DEG_PER_GATE : DEG_PER_LINE;
+  return { start: normLon(start), end: normLon(start) + width };
+}
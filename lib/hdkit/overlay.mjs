@@ -0,0 +1,105 @@
+// Natal chart + transit moment: which hanging gates the transit completes,
+// which open centers it temporarily defines, and the combined bodygraph.
+
+/**************************
+IMPORTS
+**************************/
+import { computeNatal } from "./chart.mjs";
+import { computeTransit } from "./transit.mjs";
+import { CHANNEL_BY_KEY } from "./channels.mjs";
+import {
+  deriveDefinition, centerGraphFromChannels, computeDefinitionLabel, computeTypeAuthority
+} from "./definition.mjs";
+import { svgBodygraph } from "./bodygraph-svg.mjs";
+
+
+/**************************
+HELPERS
+**************************/
+// gate → planets activating it, e.g. { 41: ["Pluto"] }
+function planetsByGate(pairs) {
+  const out = {};
+  for (const [planet, gl] of pairs) {
+    const g = parseInt(String(gl).split(".")[0], 10);
+    (out[g] ||= []).push(planet);
+  }
+  return out;
+}
+
+/**************************
+OVERLAY
+**************************/
+// natal: birth input as for computeChart(); transit: { date, time, tz } as for
+// computeTransit() (empty = now). One calculation profile covers both.
+export async function computeTransitOverlay({
+  natal = {},
+  transit = {},
+  backgroundImage = null,
+  calculation = undefined
+} = {}) {
+  const chart = await computeNatal({ ...natal, calculation });
+  const weather = await computeTransit({ ...transit, svg: false, calculation });
+
+  const natalGates = new Set(chart.allGates);
+  const transitGates = new Set(weather.gates);
+  const { definedChannels, definedCenters } = deriveDefinition([...natalGates, ...transitGates]);
+
+  const transitPlanets = planetsByGate(weather.planets);
+  const natalPlanets = planetsByGate(
+    chart.personalityPlanets.map(([p, gl]) => [`Personality ${p}`, gl])
+      .concat(chart.designPlanets.map(([p, gl]) => [`Design ${p}`, gl]))
+  );
+
+  // Channels the natal chart does not have on its own. "completes" means a
+  // natal hanging gate meets its partner in the transit; "transit" means
+  // the transit holds both gates.
+  const newChannels = definedChannels
+    .filter(k => !chart.definedChannels.includes(k))
+    .map(k => {
+      const ch = CHANNEL_BY_KEY[k];
+      const natalSide = ch.gates.filter(g => natalGates.has(g));
+      return {
+        channel: k,
+        centers: ch.centers,
+        kind: natalSide.length ? "completes" : "transit",
+        natalGates: natalSide.map(g => ({ gate: g, planets: natalPlanets[g] })),
+        transitGates: ch.gates.filter(g => !natalGates.has(g))
+          .map(g => ({ gate: g, planets: transitPlanets[g] }))
+      };
+    });
+
+  const graph = centerGraphFromChannels(definedChannels);
+  const { type, authority } = computeTypeAuthority(definedCenters, graph);
+
+  return {
+    calculation: chart.calculation,
+    natal: {
+      name: chart.name, date: chart.date, time: chart.time, place: chart.place, tz: chart.tz,
+      type: chart.type, authority: chart.authority, definition: chart.definition,
+      definedChannels: chart.definedChannels,
+      definedCenters: chart.definedCenters
+    },
+    transit: {
+      date: weather.date, time: weather.time, tz: weather.tz, utc: weather.utc,
+      planets: weather.planets
+    },
+    completedChannels: newChannels.filter(c => c.kind === "completes"),
+    transitChannels:   newChannels.filter(c => c.kind === "transit"),
+    newlyDefinedCenters: definedCenters.filter(c => !chart.definedCenters.includes(c)),
+    // the chart as it runs while the transit lasts
+    combined: {
+      type, authority,
+      definition: computeDefinitionLabel(definedCenters, graph),
+      definedChannels,
+      definedCenters
+    },
+    svg: svgBodygraph({
+      definedCenters,
+      definedChannels,
+      personalityGates: chart.personalityGates,
+      designGates: chart.designGates,
+      transitGates,
+      backgroundImage
+    })
+  };
+}
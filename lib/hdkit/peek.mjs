@@ -1,4 +1,4 @@
-const mod = await import("./hdkit.js").catch(e => {
+const mod = await import("./hdkit.mjs").catch(e => {
   console.error("ESM import failed:", e.message);
   process.exit(1);
 });
@@ -0,0 +1,94 @@
+// Calculation profiles: the choices other software makes differently, in one
+// named bundle so a chart can be reproduced (and the difference explained).
+//
+//   ephemeris  "moshier" (built-in analytic theory) | "swiss" (bundled .se1 files)
+//   node       "true" | "mean"
+//   design     { method: "solarArc", arcDeg } | { method: "days", days }
+//   mandala    { anchorLon, reversed }  (where Gate 41 starts, wheel direction)
+
+import { InputError, checkOption } from "./validate.mjs";
+
+/**************************
+PROFILES
+**************************/
+const JOVIAN = {
+  name: "jovian",
+  label: "Jovian-compatible (default)",
+  ephemeris: "moshier",
+  node: "true",
+  design: { method: "solarArc", arcDeg: 88 },
+  mandala: { anchorLon: 302, reversed: false }
+};
+
+export const PROFILES = {
+  jovian: JOVIAN,
+  precise: {
+    ...JOVIAN,
+    name: "precise",
+    label: "Swiss Ephemeris data files, true node",
+    ephemeris: "swiss"
+  },
+  "mean-node": {
+    ...JOVIAN,
+    name: "mean-node",
+    label: "Swiss Ephemeris data files, mean node",
+    ephemeris: "swiss",
+    node: "mean"
+  }
+};
+
+export const DEFAULT_PROFILE = "jovian";
+
+const EPHEMERIDES = ["moshier", "swiss"];
+const NODES = ["true", "mean"];
+const DESIGN_METHODS = ["solarArc", "days"];
+
+/**************************
+RESOLVE
+**************************/
+// spec: a profile name, a resolved profile, or { profile, ...overrides } where
+// overrides are any of ephemeris/node/design/mandala (partial design/mandala
+// objects are merged). Anything overridden renames the result "<name>+custom".
+export function resolveProfile(spec = DEFAULT_PROFILE) {
+  if (spec && spec.resolved) return spec;
+  const { profile = DEFAULT_PROFILE, ...overrides } =
+    typeof spec === "string" ? { profile: spec } : (spec || {});
+
+  const base = PROFILES[checkOption(profile, Object.keys(PROFILES), "profile")];
+
+  const set = Object.fromEntries(Object.entries(overrides).filter(([, v]) => v !== undefined && v !== null && v !== ""));
+  const out = {
+    ...base,
+    ...set,
+    design:  { ...base.design,  ...(set.design  || {}) },
+    mandala: { ...base.mandala, ...(set.mandala || {}) }
+  };
+  if (Object.keys(set).length) {
+    out.name  = `${base.name}+custom`;
+    out.label = `${base.label}, with overrides`;
+  }
+
+  checkOption(out.ephemeris, EPHEMERIDES, "ephemeris");
+  checkOption(String(out.node), NODES, "node");
+  checkOption(out.design.method, DESIGN_METHODS, "design");
+  const [amountKey, amountField] = out.design.method === "days" ? ["days", "days"] : ["arcDeg", "arc"];
+  if (!(Number(out.design[amountKey]) > 0)) {
+    throw new InputError("INVALID_OPTION", amountField, `Design ${amountField} must be a positive number`);
+  }
+  if (!Number.isFinite(Number(out.mandala.anchorLon))) {
+    throw new InputError("INVALID_OPTION", "anchor", `Mandala anchor must be a longitude: ${out.mandala.anchorLon}`);
+  }
+
+  out.node = String(out.node);
+  out.design = out.design.method === "days"
+    ? { method: "days", days: Number(out.design.days) }
+    : { method: "solarArc", arcDeg: Number(out.design.arcDeg) };
+  out.mandala = { anchorLon: Number(out.mandala.anchorLon), reversed: Boolean(out.mandala.reversed) };
+  return Object.freeze({ ...out, resolved: true });
+}
+
+// Plain metadata for results ("calculation" key)
+export function describeProfile(profile) {
+  const { resolved, ...meta } = resolveProfile(profile);
+  return meta;
+}
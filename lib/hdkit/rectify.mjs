@@ -0,0 +1,189 @@
+// Birth time rectification: sweep candidate times and keep the windows whose
+// chart agrees with what is already known about the person (type, profile,
+// defined/open centers, ...), ranked best first.
+
+/**************************
+IMPORTS
+**************************/
+import { CENTERS, CHANNEL_BY_KEY, channelKey } from "./channels.mjs";
+import { resolveTimezone } from "./timezone.mjs";
+import { InputError } from "./validate.mjs";
+import { describeProfile } from "./profiles.mjs";
+import {
+  sweepChartChanges, julianWindow, timeStamp, minutesBetween
+} from "./sensitivity.mjs";
+
+
+/**************************
+FACT NORMALIZATION
+**************************/
+const norm = (s) => String(s ?? "").toLowerCase().replace(/[^a-z0-9]+/g, "");
+
+// Common spellings readers use for the nine centers
+const CENTER_ALIASES = {
+  ...Object.fromEntries(CENTERS.map(c => [norm(c), c])),
+  gcenter: "G", identity: "G", self: "G",
+  heart: "Ego", will: "Ego",
+  emotional: "SolarPlexus", emotions: "SolarPlexus",
+  splenic: "Spleen",
+  crown: "Head"
+};
+
+function toCenter(name) {
+  const c = CENTER_ALIASES[norm(name)];
+  if (!c) throw new InputError("INVALID_OPTION", "facts", `Unknown center: ${name} (expected one of ${CENTERS.join(", ")})`);
+  return c;
+}
+
+function toChannel(key) {
+  const [a, b] = String(key).split(/[-/ ]/).map(n => parseInt(n, 10));
+  const k = channelKey(a, b);
+  if (!CHANNEL_BY_KEY[k]) throw new InputError("INVALID_OPTION", "facts", `Unknown channel: ${key}`);
+  return k;
+}
+
+const list = (v) => (Array.isArray(v) ? v : String(v || "").split(","))
+  .map(s => String(s).trim()).filter(Boolean);
+
+// Turns the caller's facts into checks against a summarizeChart() result.
+// type/profile/definition must match exactly; authority and cross may be
+// given in part ("Emotional", "12/11|36/6").
+export function buildChecks({
+  type = "", authority = "", profile = "", definition = "", cross = "",
+  definedCenters = [], undefinedCenters = [], definedChannels = []
+} = {}) {
+  const checks = [];
+  const exact = (fact, expected) => expected && checks.push({
+    fact, expected, test: (s) => norm(s[fact]) === norm(expected), actual: (s) => s[fact]
+  });
+  const partial = (fact, expected) => expected && checks.push({
+    fact, expected, test: (s) => norm(s[fact]).includes(norm(expected)), actual: (s) => s[fact]
+  });
+
+  exact("type", type);
+  partial("authority", authority);
+  exact("profile", profile);
+  exact("definition", definition);
+  partial("cross", cross);
+
+  for (const c of list(definedCenters).map(toCenter)) checks.push({
+    fact: `defined:${c}`, expected: true,
+    test: (s) => s.definedCenters.includes(c), actual: (s) => s.definedCenters.includes(c)
+  });
+  for (const c of list(undefinedCenters).map(toCenter)) checks.push({
+    fact: `undefined:${c}`, expected: true,
+    test: (s) => !s.definedCenters.includes(c), actual: (s) => !s.definedCenters.includes(c)
+  });
+  for (const k of list(definedChannels).map(toChannel)) checks.push({
+    fact: `channel:${k}`, expected: true,
+    test: (s) => s.definedChannels.includes(k), actual: (s) => s.definedChannels.includes(k)
+  });
+
+  if (!checks.length) throw new InputError("MISSING_FIELD", "facts", "Rectification needs at least one known fact");
+  return checks;
+}
+
+/**************************
+WINDOWS
+**************************/
+const ROWS = [["personality", "personalityPlanets"], ["design", "designPlanets"]];
+
+// Distinct gate.line values per activation across a run of segments
+function activationValues(segments) {
+  return ROWS.flatMap(([side, key]) => segments[0].snap[key].map(([planet], i) => ({
+    side, planet,
+    values: [...new Set(segments.map(s => s.snap[key][i][1]))]
+  })));
+}
+
+// Adjacent segments that pass and fail the same checks form one window
+function groupWindows(segments, checks) {
+  const windows = [];
+  for (const seg of segments) {
+    const results = checks.map(c => c.test(seg.snap.summary));
+    const sig = results.join();
+    const last = windows[windows.length - 1];
+    if (last && last.sig === sig) { last.segments.push(seg); continue; }
+    windows.push({ sig, results, segments: [seg] });
+  }
+  return windows;
+}
+
+/**************************
+RECTIFY
+**************************/
+// Windows are ranked by how many facts they satisfy, then by length (with no
+// other evidence, a longer window is the likelier place for the birth).
+export async function rectifyBirthTime({
+  date  = "",
+  from  = "00:00",
+  to    = "24:00",
+  place = "",
+  tz    = "",
+  lat   = null,
+  lng   = null,
+  facts = {},
+  stepMinutes = 5,
+  precisionSeconds = 1,
+  calculation = undefined
+} = {}) {
+  const checks = buildChecks(facts);
+  const { zone } = resolveTimezone({ tz, lat, lng, place });
+  const [jdStart, jdEnd] = julianWindow(date, from, to, zone);
+  const { segments } = await sweepChartChanges(jdStart, jdEnd, { stepMinutes, precisionSeconds, calculation });
+
+  const windows = groupWindows(segments, checks)
+    .map(w => {
+      const first = w.segments[0], last = w.segments[w.segments.length - 1];
+      const actuals = (c) => [...new Set(w.segments.map(s => c.actual(s.snap.summary)))];
+      return {
+        start: first.start,
+        end: last.end,
+        score: w.results.filter(Boolean).length,
+        matchesAll: w.results.every(Boolean),
+        matched: checks.filter((_, i) => w.results[i]).map(c => c.fact),
+        mismatched: checks.filter((_, i) => !w.results[i])
+          .map(c => ({ fact: c.fact, expected: c.expected, actual: actuals(c) })),
+        activations: activationValues(w.segments),
+        segments: w.segments
+      };
+    })
+    .sort((a, b) => (b.score - a.score) || ((b.end - b.start) - (a.end - a.start)));
+
+  // What separates each candidate from the best one, gate.line by gate.line
+  const best = windows[0];
+  const differsFromBest = (w) => w.activations
+    .map((row, i) => ({ row, bestValues: best.activations[i].values }))
+    .filter(({ row, bestValues }) => row.values.join() !== bestValues.join())
+    .map(({ row, bestValues }) => ({ side: row.side, planet: row.planet, best: bestValues, window: row.values }));
+
+  const stamp = (jd) => timeStamp(jd, zone, date);
+  return {
+    date, place,
+    tz: zone,
+    window: { from: stamp(jdStart), to: stamp(jdEnd) },
+    calculation: describeProfile(calculation),
+    facts: checks.map(c => ({ fact: c.fact, expected: c.expected })),
+    matchingMinutes: minutesBetween(0, windows.filter(w => w.matchesAll)
+      .reduce((sum, w) => sum + (w.end - w.start), 0)),
+    windows: windows.map((w, i) => ({
+      rank: i + 1,
+      from: stamp(w.start),
+      to:   stamp(w.end),
+      minutes: minutesBetween(w.start, w.end),
+      score: w.score,
+      of: checks.length,
+      matchesAll: w.matchesAll,
+      matched: w.matched,
+      mismatched: w.mismatched,
+      // gate.line values that move inside this window
+      varies: w.activations.filter(r => r.values.length > 1),
+      differsFromBest: i === 0 ? [] : differsFromBest(w),
+      ranges: w.segments.map(s => ({
+        from: stamp(s.start),
+        to:   stamp(s.end),
+        ...s.snap.summary
+      }))
+    }))
+  };
+}
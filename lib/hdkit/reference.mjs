@@ -0,0 +1,64 @@
+// Reference data for a gate or an activation, read from constants.js: names,
+// keynotes, I Ching glyph, codon ring / amino acid, zodiac position, Godhead.
+
+/**************************
+IMPORTS
+**************************/
+import {
+  gateNames, gateOf, gateShortDescriptions, iChingHexagramGlyphs,
+  aminoAcidByGate, nucleicAcidSequences, godheadsByGate,
+  astrologicalSigns, astrologicalSignSymbols
+} from "./constants.js";
+
+
+/**************************
+GATE
+**************************/
+export function gateInfo(gate) {
+  const amino = aminoAcidByGate[gate] || {};
+  return {
+    gateName:  gateNames[gate] ?? null,
+    gateTitle: gateOf[gate] ?? null,                  // "Gate of Self-Expression"
+    keynote:   gateShortDescriptions[gate] ?? null,
+    hexagram:  iChingHexagramGlyphs[gate] ?? null,
+    codon:     nucleicAcidSequences[gate] ?? null,
+    codonRing: amino.ring ?? null,
+    aminoAcid: amino.name ?? null,
+    godhead:   godheadsByGate[gate] ?? null
+  };
+}
+
+/**************************
+ZODIAC
+**************************/
+// astrologicalSigns runs Virgo → Libra (backwards round the wheel, for the
+// mandala drawing), so Aries sits at index 5
+const ARIES_INDEX = astrologicalSigns.indexOf("Aries");
+
+// Tropical longitude → { sign, symbol, degree (0–30), position "23°07′ Gemini" }
+export function zodiacPosition(lon) {
+  const l = ((lon % 360) + 360) % 360;
+  const n = Math.floor(l / 30);
+  const i = (ARIES_INDEX - n + 12) % 12;
+  const degree = l - n * 30;
+  const d = Math.floor(degree), m = Math.floor((degree - d) * 60);
+  return {
+    sign: astrologicalSigns[i],
+    symbol: astrologicalSignSymbols[i],
+    degree,
+    position: `${d}°${String(m).padStart(2, "0")}′ ${astrologicalSigns[i]}`
+  };
+}
+
+/**************************
+ACTIVATION
+**************************/
+// An activation row ({ planet, longitude, gate, line, ... }) with its
+// reference data alongside
+export function enrichActivation(activation) {
+  return {
+    ...activation,
+    ...gateInfo(activation.gate),
+    zodiac: zodiacPosition(activation.longitude)
+  };
+}
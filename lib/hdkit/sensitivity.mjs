@@ -0,0 +1,195 @@
+// Unknown / approximate birth time: sweep a day (or a window of it) and report
+// where the chart changes, so a reading can separate what is certain from what
+// depends on the birth time.
+
+/**************************
+IMPORTS
+**************************/
+import { DateTime } from "luxon";
+import { julianDayFromDateTime, dateTimeFromJulianDay } from "./ephemeris.mjs";
+import { computeActivations, summarizeChart } from "./chart.mjs";
+import { resolveTimezone } from "./timezone.mjs";
+import { resolveProfile, describeProfile } from "./profiles.mjs";
+import { InputError, checkDate, checkTime, checkSupportedYear } from "./validate.mjs";
+
+
+/**************************
+SNAPSHOTS
+**************************/
+// Chart-level facts that a client would ask "is this certain?" about
+export const SUMMARY_FIELDS = ["type", "authority", "profile", "definition", "cross"];
+
+// Everything in the chart follows from the 26 gate.line values, so those
+// alone decide whether two moments give the same chart.
+export async function chartSnapshot(jd, calculation) {
+  const { personalityPlanets, designPlanets } = await computeActivations(jd, calculation);
+  return {
+    jd,
+    key: JSON.stringify([personalityPlanets, designPlanets]),
+    personalityPlanets,
+    designPlanets,
+    summary: summarizeChart(personalityPlanets, designPlanets)
+  };
+}
+
+// "24:00" is accepted as the end of the day
+function windowEdge(date, time, zone, field) {
+  checkDate(date);
+  const dt = time === "24:00"
+    ? DateTime.fromISO(date, { zone }).plus({ days: 1 }).startOf("day")
+    : DateTime.fromISO(`${date}T${checkTime(time, field)}`, { zone });
+  if (!dt.isValid) throw new InputError("UNKNOWN_ZONE", "tz", `Unknown time zone: ${zone}`);
+  checkSupportedYear(dt.year);
+  return dt;
+}
+
+// Local HH:MM window on `date` → [jdStart, jdEnd]
+export function julianWindow(date, from, to, zone) {
+  return [windowEdge(date, from, zone, "from"), windowEdge(date, to, zone, "to")].map(julianDayFromDateTime);
+}
+
+// { time: "HH:mm:ss" local, utc: ISO } for a Julian day. With the window's
+// `date`, the midnight that ends it reads "24:00:00" rather than "00:00:00".
+export function timeStamp(jd, zone, date = null) {
+  const dt = dateTimeFromJulianDay(jd, zone);
+  const time = dt.toFormat("HH:mm:ss");
+  const endOfDay = date && time === "00:00:00"
+    && dt.toISODate() === DateTime.fromISO(date, { zone }).plus({ days: 1 }).toISODate();
+  return { time: endOfDay ? "24:00:00" : time, utc: dt.toUTC().toISO() };
+}
+
+function activationChanges(a, b) {
+  const out = [];
+  for (const [side, key] of [["personality", "personalityPlanets"], ["design", "designPlanets"]]) {
+    a[key].forEach(([planet, from], i) => {
+      const to = b[key][i][1];
+      if (from !== to) out.push({ side, planet, from, to });
+    });
+  }
+  return out;
+}
+
+function summaryChanges(a, b) {
+  const out = {};
+  for (const f of SUMMARY_FIELDS) {
+    if (a.summary[f] !== b.summary[f]) out[f] = { from: a.summary[f], to: b.summary[f] };
+  }
+  return out;
+}
+
+/**************************
+SWEEP
+**************************/
+// Samples every `stepMinutes`, then bisects each change down to
+// `precisionSeconds`. Changes that revert within a single step are not seen;
+// at the 5-minute default only the Moon moves fast enough to matter (a line
+// every ~2 hours), so nothing is missed in practice.
+export async function sweepChartChanges(jdStart, jdEnd, { stepMinutes = 5, precisionSeconds = 1, calculation } = {}) {
+  if (!(jdEnd > jdStart)) throw new InputError("INVALID_OPTION", "to", "The end of the window must be after its start");
+  const step = Math.max(stepMinutes, 0.1) / 1440;
+  const precision = Math.max(precisionSeconds, 0.1) / 86400;
+
+  const calc = resolveProfile(calculation);
+  let cur = await chartSnapshot(jdStart, calc);
+  const segments = [{ start: jdStart, snap: cur }];
+  const transitions = [];
+
+  for (let jd = Math.min(jdStart + step, jdEnd); ; jd = Math.min(jd + step, jdEnd)) {
+    const next = await chartSnapshot(jd, calc);
+    // one step may hold several changes: peel them off one by one
+    while (next.key !== cur.key) {
+      let lo = cur.jd, hi = jd, hiSnap = next;
+      while (hi - lo > precision) {
+        const mid = (lo + hi) / 2;
+        const s = await chartSnapshot(mid, calc);
+        if (s.key === cur.key) lo = mid; else { hi = mid; hiSnap = s; }
+      }
+      transitions.push({
+        jd: hi,
+        activations: activationChanges(cur, hiSnap),
+        summary: summaryChanges(cur, hiSnap)
+      });
+      cur = hiSnap;
+      segments.push({ start: hi, snap: cur });
+    }
+    cur = next;
+    if (jd >= jdEnd) break;
+  }
+
+  return {
+    transitions,
+    segments: segments.map((s, i) => ({
+      ...s,
+      end: i + 1 < segments.length ? segments[i + 1].start : jdEnd
+    }))
+  };
+}
+
+/**************************
+REPORT
+**************************/
+export function minutesBetween(a, b) {
+  return Math.round((b - a) * 1440 * 10) / 10;
+}
+
+// How long each value of a field holds across the window
+function tally(segments, valueOf) {
+  const byValue = new Map();
+  for (const s of segments) {
+    const v = valueOf(s);
+    byValue.set(v, (byValue.get(v) || 0) + (s.end - s.start));
+  }
+  const values = [...byValue].map(([value, days]) => ({ value, minutes: minutesBetween(0, days) }));
+  return { certain: values.length === 1, values };
+}
+
+export async function computeTimeSensitivity({
+  date  = "",        // YYYY-MM-DD
+  from  = "00:00",   // local window start (HH:MM)
+  to    = "24:00",   // local window end (HH:MM, "24:00" = midnight after)
+  place = "",
+  tz    = "",
+  lat   = null,
+  lng   = null,
+  stepMinutes = 5,
+  precisionSeconds = 1,
+  calculation = undefined
+} = {}) {
+  const { zone } = resolveTimezone({ tz, lat, lng, place });
+  const [jdStart, jdEnd] = julianWindow(date, from, to, zone);
+
+  const { transitions, segments } = await sweepChartChanges(jdStart, jdEnd, { stepMinutes, precisionSeconds, calculation });
+
+  const stamp = (jd) => timeStamp(jd, zone, date);
+
+  // Per activation: one value for the whole window, or the values it passes through
+  const rows = [["personality", "personalityPlanets"], ["design", "designPlanets"]]
+    .flatMap(([side, key]) => segments[0].snap[key].map(([planet], i) => ({
+      side, planet, ...tally(segments, s => s.snap[key][i][1])
+    })));
+
+  return {
+    date, place,
+    tz: zone,
+    window: { from: stamp(jdStart), to: stamp(jdEnd) },
+    calculation: describeProfile(calculation),
+    stepMinutes,
+    precisionSeconds,
+    certainty: Object.fromEntries(
+      SUMMARY_FIELDS.map(f => [f, tally(segments, s => s.snap.summary[f])])
+    ),
+    stableActivations: rows.filter(r => r.certain)
+      .map(({ side, planet, values }) => ({ side, planet, value: values[0].value })),
+    changingActivations: rows.filter(r => !r.certain)
+      .map(({ side, planet, values }) => ({ side, planet, values })),
+    transitions: transitions.map(t => ({ ...stamp(t.jd), activations: t.activations, summary: t.summary })),
+    ranges: segments.map(s => ({
+      from: stamp(s.start),
+      to:   stamp(s.end),
+      minutes: minutesBetween(s.start, s.end),
+      ...s.snap.summary,
+      personalityPlanets: s.snap.personalityPlanets,
+      designPlanets: s.snap.designPlanets
+    }))
+  };
+}
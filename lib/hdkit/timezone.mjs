@@ -0,0 +1,47 @@
+// Birthplace coordinates → IANA time zone, fully offline.
+// tz-lookup ships a compressed copy of the timezone-boundary-builder polygons,
+// so no network call is made; Luxon then applies that zone's historical
+// offsets and DST rules for the birth date.
+
+/**************************
+IMPORTS
+**************************/
+import tzLookup from "@photostructure/tz-lookup";
+import { DateTime } from "luxon";
+import { lookupPlace } from "./gazetteer.mjs";
+import { InputError, toCoord, checkCoordinates } from "./validate.mjs";
+
+
+/**************************
+COORDINATES → ZONE
+**************************/
+export function timezoneFromCoordinates(lat, lng) {
+  const [la, lo] = checkCoordinates(lat, lng);
+  return tzLookup(la, lo);
+}
+
+/**************************
+RESOLVER (EXPLICIT ZONE WINS)
+**************************/
+// Returns { zone, source } where source is "tz" (caller supplied a zone),
+// "coordinates" (looked up from lat/lng) or "place" (birthplace name found in
+// the bundled gazetteer). Throws when none of them is usable.
+export function resolveTimezone({ tz = "", lat = null, lng = null, place = "" } = {}) {
+  const explicit = tz ? String(tz).trim() : "";
+  if (explicit) {
+    if (!DateTime.local().setZone(explicit).isValid) {
+      throw new InputError("UNKNOWN_ZONE", "tz", `Unknown time zone: ${explicit}`);
+    }
+    return { zone: explicit, source: "tz" };
+  }
+  if (toCoord(lat) !== null || toCoord(lng) !== null) {
+    return { zone: timezoneFromCoordinates(lat, lng), source: "coordinates" };
+  }
+  if (place && String(place).trim()) {
+    const hit = lookupPlace(place);
+    if (!hit) throw new InputError("UNKNOWN_PLACE", "place", `Unknown birthplace: ${place}`);
+    return { zone: hit.tz, source: "place" };
+  }
+  throw new InputError("ZONE_REQUIRED", "tz",
+    "A time zone (tz), birthplace coordinates (lat/lng) or a known place is required");
+}
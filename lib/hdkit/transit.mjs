@@ -0,0 +1,82 @@
+// Transits: the planetary activations at any moment ("today's weather"),
+// using the same planets, nodes and mandala as a natal Personality column.
+
+/**************************
+IMPORTS
+**************************/
+import { DateTime } from "luxon";
+import { toJulianDay, julianDayFromDateTime, dateTimeFromJulianDay } from "./ephemeris.mjs";
+import { activationsAt, gatesFromPlanets } from "./chart.mjs";
+import {
+  deriveDefinition, centerGraphFromChannels, computeDefinitionLabel
+} from "./definition.mjs";
+import { svgBodygraph } from "./bodygraph-svg.mjs";
+import { resolveTimezone } from "./timezone.mjs";
+import { describeProfile } from "./profiles.mjs";
+
+
+/**************************
+MOMENT
+**************************/
+// No date → now; an explicit `jd` wins over both. A zone is optional here
+// (transits are the same everywhere); it only decides how the moment is read
+// and echoed back. Defaults to UTC.
+export function transitMoment({ jd = null, date = "", time = "", tz = "", lat = null, lng = null, place = "" } = {}) {
+  const located = tz || place || (lat !== null && lat !== "") || (lng !== null && lng !== "");
+  const zone = located ? resolveTimezone({ tz, lat, lng, place }).zone : "UTC";
+  if (jd !== null) return { jd, zone };
+  return {
+    jd: date ? toJulianDay(date, time || "00:00", zone) : julianDayFromDateTime(DateTime.now()),
+    zone
+  };
+}
+
+/**************************
+TRANSIT CHART
+**************************/
+// gates: the 13 transit gates; definedChannels/definedCenters: what the
+// transit alone completes (no natal chart involved)
+export async function computeTransit({
+  jd    = null,     // exact moment (Julian day, UT); overrides date/time
+  date  = "",       // YYYY-MM-DD, empty = now
+  time  = "",       // HH:MM, defaults to 00:00 when a date is given
+  tz    = "",
+  lat   = null,
+  lng   = null,
+  place = "",
+  backgroundImage = null,
+  svg = true,
+  calculation = undefined  // profile (profiles.mjs); the design method plays no part here
+} = {}) {
+  const { jd: when, zone } = transitMoment({ jd, date, time, tz, lat, lng, place });
+  const { planets, activations } = await activationsAt(when, calculation);
+
+  const gates = [...new Set(gatesFromPlanets(planets))];
+  const { definedChannels, definedCenters } = deriveDefinition(gates);
+  const graph = centerGraphFromChannels(definedChannels);
+
+  const local = dateTimeFromJulianDay(when, zone);
+  const result = {
+    date: local.toISODate(),
+    time: local.toFormat("HH:mm"),
+    tz:   zone,
+    utc:  local.toUTC().toISO(),
+    jd:   when,
+    calculation: describeProfile(calculation),
+    planets,
+    activations,
+    gates,
+    definedChannels,
+    definedCenters,
+    definition: computeDefinitionLabel(definedCenters, graph)
+  };
+  if (svg) {
+    result.svg = svgBodygraph({
+      definedCenters,
+      definedChannels,
+      transitGates: new Set(gates),
+      backgroundImage
+    });
+  }
+  return result;
+}
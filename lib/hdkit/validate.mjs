@@ -0,0 +1,105 @@
+// Input validation shared by every entry point. Errors carry a stable `code`
+// and the offending `field`, so callers (the CLI, Rails, batch jobs) can
+// report them without parsing messages.
+
+/**************************
+IMPORTS
+**************************/
+import { DateTime } from "luxon";
+
+
+/**************************
+ERRORS
+**************************/
+// code → CLI exit code. 2: malformed input, 3: zone/place not found,
+// 4: outside the supported date range. Anything else exits 1.
+export const ERROR_EXIT_CODES = {
+  MISSING_FIELD:       2,
+  INVALID_DATE:        2,
+  INVALID_TIME:        2,
+  INVALID_COORDINATES: 2,
+  INVALID_OPTION:      2,
+  UNKNOWN_ZONE:        3,
+  UNKNOWN_PLACE:       3,
+  ZONE_REQUIRED:       3,
+  OUT_OF_RANGE:        4
+};
+
+export class InputError extends Error {
+  constructor(code, field, message) {
+    super(message);
+    this.name = "InputError";
+    this.code = code;
+    this.field = field;
+  }
+
+  toJSON() {
+    return { code: this.code, field: this.field, message: this.message };
+  }
+}
+
+/**************************
+SUPPORTED RANGE
+**************************/
+// Years the engine will chart (birth, transit and table dates alike)
+export const SUPPORTED_YEARS = { from: 1800, to: 2050 };
+
+export function checkSupportedYear(year, field = "date") {
+  if (year < SUPPORTED_YEARS.from || year > SUPPORTED_YEARS.to) {
+    throw new InputError("OUT_OF_RANGE", field,
+      `Supported years are ${SUPPORTED_YEARS.from}–${SUPPORTED_YEARS.to} (got ${year})`);
+  }
+  return year;
+}
+
+/**************************
+FIELDS
+**************************/
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;   // HH:MM or HH:MM:SS
+
+// YYYY-MM-DD that names a real calendar day
+export function checkDate(value, field = "date") {
+  const s = String(value ?? "").trim();
+  if (!s) throw new InputError("MISSING_FIELD", field, `${field} is required (YYYY-MM-DD)`);
+  if (!DATE_RE.test(s) || !DateTime.fromISO(s, { zone: "UTC" }).isValid) {
+    throw new InputError("INVALID_DATE", field, `Invalid ${field}: ${value} (expected YYYY-MM-DD)`);
+  }
+  return s;
+}
+
+// 24-hour HH:MM or HH:MM:SS
+export function checkTime(value, field = "time") {
+  const s = String(value ?? "").trim();
+  if (!s) throw new InputError("MISSING_FIELD", field, `${field} is required (HH:MM)`);
+  if (!TIME_RE.test(s)) {
+    throw new InputError("INVALID_TIME", field, `Invalid ${field}: ${value} (expected HH:MM or HH:MM:SS)`);
+  }
+  return s;
+}
+
+// Optional number, e.g. a --lat flag: null when absent, else a finite number
+export function toCoord(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = typeof v === "number" ? v : Number(v);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+export function checkCoordinates(lat, lng) {
+  const la = toCoord(lat), lo = toCoord(lng);
+  if (la === null) throw new InputError("MISSING_FIELD", "lat", "Latitude and longitude are required");
+  if (lo === null) throw new InputError("MISSING_FIELD", "lng", "Latitude and longitude are required");
+  if (Number.isNaN(la)) throw new InputError("INVALID_COORDINATES", "lat", `Latitude must be a number: ${lat}`);
+  if (Number.isNaN(lo)) throw new InputError("INVALID_COORDINATES", "lng", `Longitude must be a number: ${lng}`);
+  if (la < -90 || la > 90)   throw new InputError("INVALID_COORDINATES", "lat", `Latitude out of range: ${lat}`);
+  if (lo < -180 || lo > 180) throw new InputError("INVALID_COORDINATES", "lng", `Longitude out of range: ${lng}`);
+  return [la, lo];
+}
+
+// One of a fixed list of values
+export function checkOption(value, allowed, field) {
+  if (!allowed.includes(value)) {
+    throw new InputError("INVALID_OPTION", field, `Unknown ${field}: ${value} (expected ${allowed.join(", ")})`);
+  }
+  return value;
+}
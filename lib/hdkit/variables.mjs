@@ -0,0 +1,55 @@
+// Four Variables (PHS arrows) from the Sun and North Node activations
+
+/**************************
+COLOR KEYNOTES PER VARIABLE
+**************************/
+const COLOR_NAMES = {
+  determination: ["Appetite", "Taste", "Thirst", "Touch", "Sound", "Light"],
+  environment:   ["Caves", "Markets", "Kitchens", "Mountains", "Valleys", "Shores"],
+  perspective:   ["Survival", "Possibility", "Power", "Wanting", "Probability", "Personal"],
+  motivation:    ["Fear", "Hope", "Desire", "Need", "Guilt", "Innocence"]
+};
+
+// Which activation drives each arrow, and where the arrow sits on the chart
+const VARIABLE_SOURCES = {
+  determination: { side: "design",      planet: "Sun",        arrow: "top-left" },
+  environment:   { side: "design",      planet: "North Node", arrow: "bottom-left" },
+  motivation:    { side: "personality", planet: "Sun",        arrow: "top-right" },
+  perspective:   { side: "personality", planet: "North Node", arrow: "bottom-right" }
+};
+
+// Tones 1–3 point left, 4–6 point right
+export function orientationFromTone(tone) {
+  return tone <= 3 ? "Left" : "Right";
+}
+
+/**************************
+COMPUTE
+**************************/
+// personalityActivations/designActivations are the activation rows from
+// computeChart() (objects with planet, color and tone).
+export function computeVariables(personalityActivations, designActivations) {
+  const rows = { personality: personalityActivations, design: designActivations };
+  const out = {};
+
+  for (const [key, src] of Object.entries(VARIABLE_SOURCES)) {
+    const act = (rows[src.side] || []).find(a => a.planet === src.planet);
+    if (!act) { out[key] = null; continue; }
+    out[key] = {
+      arrow:       src.arrow,
+      source:      `${src.side === "design" ? "Design" : "Personality"} ${src.planet}`,
+      orientation: orientationFromTone(act.tone),
+      color:       act.color,
+      colorName:   COLOR_NAMES[key][act.color - 1],
+      tone:        act.tone
+    };
+  }
+
+  // e.g. "PLR DLL": Personality top/bottom, then Design top/bottom
+  const letter = v => (v ? v.orientation[0] : "?");
+  out.notation =
+    `P${letter(out.motivation)}${letter(out.perspective)} ` +
+    `D${letter(out.determination)}${letter(out.environment)}`;
+
+  return out;
+}
@@ -0,0 +1,33 @@
+require "test_helper"
+require "prawn"
+require "prawn/table"
+
+class ChartsPdfFontsTest < ActiveSupport::TestCase
+  MARKERS = %w[▲ ▼ ✱].freeze
+
+  def glyph_id(file, char)
+    TTFunk::File.open(ChartsController::PDF_FONT_DIR.join(file).to_s).cmap.unicode.first[char.ord]
+  end
+
+  test "the fallback font has the fixing markers Open Sans lacks" do
+    MARKERS.each do |m|
+      assert_equal 0, glyph_id("OpenSans-SemiBold.ttf", m), "Open Sans gained #{m}; the fallback may be unneeded"
+      assert_operator glyph_id("DejaVuSans.ttf", m), :>, 0, "DejaVu Sans has no glyph for #{m}"
+      assert_operator glyph_id("DejaVuSans-Bold.ttf", m), :>, 0, "DejaVu Sans Bold has no glyph for #{m}"
+    end
+  end
+
+  test "markers in a planet-table cell render through the fallback font" do
+    pdf = Prawn::Document.new(page_size: "A4", margin: 36)
+    assert_equal ["Open Sans", "DejaVuSans"], ChartsController.new.register_pdf_fonts(pdf)
+    assert_equal ["DejaVuSans"], pdf.fallback_fonts
+
+    rows = MARKERS.map { |m| ["Sun", "<b>12.2</b>#{m}"] }
+    pdf.table rows, cell_style: { font: "Open Sans", size: 9, inline_format: true }
+    rendered = pdf.render
+
+    # Prawn embeds a subset of each font it drew glyphs from
+    assert_match(/\+OpenSans/, rendered)
+    assert_match(/\+DejaVuSans/, rendered)
+  end
+end
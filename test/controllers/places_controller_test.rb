@@ -0,0 +1,54 @@
+require "test_helper"
+require "minitest/mock"
+
+class PlacesControllerTest < ActionDispatch::IntegrationTest
+  # Stand-in for the Process::Status Open3 returns
+  def fake_status(ok)
+    status = Object.new
+    status.define_singleton_method(:success?) { ok }
+    status
+  end
+
+  test "short query returns an empty list without calling the engine" do
+    Open3.stub(:capture3, ->(*) { flunk "engine should not run for a one-letter query" }) do
+      get places_url, params: { q: "D" }
+    end
+
+    assert_response :success
+    assert_equal [], response.parsed_body
+  end
+
+  test "match returns the engine's places with lat/lng/tz" do
+    dublin = [{ "name" => "Dublin", "country" => "Ireland", "countryCode" => "IE", "label" => "Dublin, Ireland",
+                "lat" => 53.33306114, "lng" => -6.248905682, "tz" => "Europe/Dublin" }]
+    captured = nil
+    engine = lambda do |*cmd|
+      captured = cmd
+      [dublin.to_json, "", fake_status(true)]
+    end
+
+    Open3.stub(:capture3, engine) do
+      get places_url, params: { q: "Dub", country: "IE" }
+    end
+
+    assert_response :success
+    assert_includes captured, "places"
+    assert_includes captured, "--q=Dub"
+    place = response.parsed_body.first
+    assert_equal "Dublin", place["name"]
+    assert_equal "Europe/Dublin", place["tz"]
+    assert_in_delta 53.33, place["lat"], 0.01
+    assert_in_delta(-6.25, place["lng"], 0.01)
+  end
+
+  test "engine failure returns 502 with an error" do
+    failure = ->(*) { ["", "boom", fake_status(false)] }
+
+    Open3.stub(:capture3, failure) do
+      get places_url, params: { q: "Dublin" }
+    end
+
+    assert_response :bad_gateway
+    assert_equal "Place lookup failed", response.parsed_body["error"]
+  end
+end
@@ -0,0 +1,43 @@
+// Hanging gates, undefined centers and bridging gates (bridging.mjs)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { hangingGates, undefinedCenters, bridgingGates } from "../../lib/hdkit/bridging.mjs";
+import { deriveDefinition } from "../../lib/hdkit/definition.mjs";
+
+test("hanging gates with the gate that completes each channel", () => {
+  const sides = { personality: new Set([20, 34]), design: new Set([34, 1]) };
+  const rows = hangingGates([20, 34, 1], sides);
+  // 20-34 is defined; 20 and 34 still hang toward 57 and 10, 1 toward 8
+  assert.deepEqual(rows.map(r => [r.gate, r.completedBy]),
+    [[1, 8], [20, 10], [20, 57], [34, 10], [34, 57]]);
+  assert.deepEqual(rows[0], {
+    gate: 1, center: "G", side: "design", channel: "1-8", completedBy: 8, completedByCenter: "Throat"
+  });
+  assert.equal(rows.find(r => r.gate === 34).side, "both");
+});
+
+test("completely open vs activated undefined centers", () => {
+  const gates = [20, 34, 1, 64];
+  const { definedCenters } = deriveDefinition(gates);
+  const { open, activated } = undefinedCenters(gates, definedCenters);
+  assert.deepEqual(activated, [{ center: "Head", gates: [64] }, { center: "G", gates: [1] }]);
+  assert.deepEqual(open, ["Ajna", "Ego", "SolarPlexus", "Spleen", "Root"]);
+});
+
+test("single-gate bridge between two split areas", () => {
+  // 23-43 (Ajna/Throat) and 2-14 (G/Sacral) with 8 hanging in the Throat: 1 joins them
+  const gates = [23, 43, 2, 14, 8];
+  const { definedChannels, definedCenters } = deriveDefinition(gates);
+  const { areas, bridges } = bridgingGates(gates, definedChannels, definedCenters);
+  assert.equal(areas.length, 2);
+  assert.equal(bridges.length, 1);
+  assert.equal(bridges[0].size, 1);
+  assert.deepEqual(bridges[0].options, [{ gates: [1], channels: ["1-8"] }]);
+});
+
+test("no bridges for a single definition", () => {
+  const gates = [20, 34];
+  const { definedChannels, definedCenters } = deriveDefinition(gates);
+  assert.deepEqual(bridgingGates(gates, definedChannels, definedCenters).bridges, []);
+});
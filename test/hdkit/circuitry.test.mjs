@@ -0,0 +1,35 @@
+// Circuit group, circuit and channel type (circuitry.mjs)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { channelCircuit, channelType, analyzeCircuitry } from "../../lib/hdkit/circuitry.mjs";
+
+test("circuit group, circuit and type per channel", () => {
+  assert.deepEqual(channelCircuit("20-34"),
+    { key: "20-34", group: "Integration", circuit: null, type: "Manifested", centers: ["Throat", "Sacral"] });
+  assert.deepEqual(channelCircuit("59-6"),
+    { key: "6-59", group: "Tribal", circuit: "Defense", type: "Generated", centers: ["SolarPlexus", "Sacral"] });
+  assert.equal(channelCircuit("10-34").circuit, "Centering");
+  assert.equal(channelCircuit("64-47").circuit, "Sensing");
+  assert.equal(channelCircuit("1-2"), null);
+});
+
+test("channel types", () => {
+  assert.equal(channelType("12-22"), "Manifested");
+  assert.equal(channelType("21-45"), "Manifested");
+  assert.equal(channelType("2-14"), "Generated");
+  assert.equal(channelType("19-49"), "Projected");
+  assert.equal(channelType("23-43"), "Projected");
+});
+
+test("emphasis summary", () => {
+  const { channels, emphasis } = analyzeCircuitry(["2-14", "23-43", "6-59"]);
+  assert.equal(channels.length, 3);
+  assert.equal(emphasis.total, 3);
+  assert.deepEqual(emphasis.groups, { Individual: 2, Collective: 0, Tribal: 1, Integration: 0 });
+  assert.equal(emphasis.circuits.Knowing, 2);
+  assert.equal(emphasis.circuits.Defense, 1);
+  assert.deepEqual(emphasis.types, { Generated: 2, Projected: 1, Manifested: 0 });
+  assert.deepEqual(emphasis.dominant, ["Individual"]);
+  assert.deepEqual(analyzeCircuitry([]).emphasis.dominant, []);
+});
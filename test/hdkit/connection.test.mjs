@@ -0,0 +1,33 @@
+// Two-person channel classification (connection.mjs)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { classifyChannel } from "../../lib/hdkit/connection.mjs";
+
+const set = (...gates) => new Set(gates);
+const CH = [34, 57];
+
+test("electromagnetic: each person brings one side", () => {
+  assert.equal(classifyChannel(CH, set(34), set(57)), "electromagnetic");
+  assert.equal(classifyChannel(CH, set(57), set(34)), "electromagnetic");
+});
+
+test("companionship: both hold the whole channel", () => {
+  assert.equal(classifyChannel(CH, set(34, 57), set(34, 57)), "companionship");
+});
+
+test("dominance: one holds it, the other neither gate", () => {
+  assert.equal(classifyChannel(CH, set(34, 57), set(1)), "dominance");
+  assert.equal(classifyChannel(CH, set(), set(34, 57)), "dominance");
+});
+
+test("compromise: one holds it, the other one of its gates", () => {
+  assert.equal(classifyChannel(CH, set(34, 57), set(57)), "compromise");
+  assert.equal(classifyChannel(CH, set(34), set(34, 57)), "compromise");
+});
+
+test("no channel when it isn't completed between them", () => {
+  assert.equal(classifyChannel(CH, set(34), set(34)), null);
+  assert.equal(classifyChannel(CH, set(34), set()), null);
+  assert.equal(classifyChannel(CH, set(), set()), null);
+});
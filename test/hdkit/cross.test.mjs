@@ -0,0 +1,48 @@
+// Incarnation cross angle, Quarter and name (cross.mjs)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { crossAngle, quarterOfGate, resolveCross } from "../../lib/hdkit/cross.mjs";
+
+test("angle from the two Sun lines", () => {
+  assert.equal(crossAngle(4, 1), "Juxtaposition");
+  assert.equal(crossAngle(4, 6), "Right Angle");
+  assert.equal(crossAngle(1, 3), "Right Angle");
+  assert.equal(crossAngle(3, 5), "Right Angle");
+  assert.equal(crossAngle(5, 1), "Left Angle");
+  assert.equal(crossAngle(6, 2), "Left Angle");
+  assert.equal(crossAngle(null, 1), null);
+});
+
+test("Quarters start at gates 13, 2, 7 and 1", () => {
+  assert.equal(quarterOfGate(13).name, "Quarter of Initiation");
+  assert.equal(quarterOfGate(2).name, "Quarter of Civilization");
+  assert.equal(quarterOfGate(7).name, "Quarter of Duality");
+  assert.equal(quarterOfGate(1).name, "Quarter of Mutation");
+  assert.equal(quarterOfGate(19).name, "Quarter of Mutation");   // last gate before 13
+  assert.equal(quarterOfGate(99), null);
+});
+
+const SUNS = { personalitySun: 1, personalityEarth: 2 };
+
+test("named crosses from the bundled list", () => {
+  const right = resolveCross({ ...SUNS, designSun: 7, designEarth: 13, personalitySunLine: 1, designSunLine: 3 });
+  assert.equal(right.label, "The Right Angle Cross of the Sphinx 4 (1/2 | 7/13)");
+  assert.equal(right.found, true);
+  assert.equal(right.quarter.name, "Quarter of Mutation");
+  assert.deepEqual(right.gates.map(g => g.role),
+    ["Personality Sun", "Personality Earth", "Design Sun", "Design Earth"]);
+
+  const juxta = resolveCross({ ...SUNS, designSun: 4, designEarth: 49, personalitySunLine: 4, designSunLine: 1 });
+  assert.equal(juxta.angle, "Juxtaposition");
+  assert.equal(juxta.name, "The Juxtaposition Cross of Self-Expression");
+
+  const left = resolveCross({ ...SUNS, designSun: 4, designEarth: 49, personalitySunLine: 5, designSunLine: 1 });
+  assert.equal(left.name, "The Left Angle Cross of Defiance 2");
+});
+
+test("an unlisted combination falls back to the angle", () => {
+  const c = resolveCross({ ...SUNS, designSun: 3, designEarth: 50, personalitySunLine: 2, designSunLine: 4 });
+  assert.equal(c.found, false);
+  assert.equal(c.name, "Right Angle Cross");
+});
@@ -0,0 +1,66 @@
+// Channel wiring and the type/authority derived from it (channels.mjs, definition.mjs)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { CHANNELS_FULL, CHANNEL_BY_KEY, GATE_TO_CENTER, channelKey } from "../../lib/hdkit/channels.mjs";
+import {
+  deriveDefinition, centerGraphFromChannels, computeDefinitionLabel, computeTypeAuthority
+} from "../../lib/hdkit/definition.mjs";
+import { summarizeChart } from "../../lib/hdkit/chart.mjs";
+
+const CANONICAL = [
+  "1-8", "2-14", "3-60", "4-63", "5-15", "6-59", "7-31", "9-52", "10-20",
+  "10-34", "10-57", "11-56", "12-22", "13-33", "16-48", "17-62", "18-58", "19-49",
+  "20-34", "20-57", "21-45", "23-43", "24-61", "25-51", "26-44", "27-50", "28-38",
+  "29-46", "30-41", "32-54", "34-57", "35-36", "37-40", "39-55", "42-53", "47-64"
+];
+
+test("the 36 canonical channels, once each", () => {
+  assert.deepEqual(CHANNELS_FULL.map(c => c.key).sort(), [...CANONICAL].sort());
+  assert.equal(channelKey(57, 20), "20-57");
+});
+
+test("channel centers", () => {
+  const centers = (key) => [...CHANNEL_BY_KEY[key].centers].sort();
+  assert.deepEqual(centers("4-63"),  ["Ajna", "Head"]);
+  assert.deepEqual(centers("11-56"), ["Ajna", "Throat"]);
+  assert.deepEqual(centers("12-22"), ["SolarPlexus", "Throat"]);
+  assert.deepEqual(centers("34-57"), ["Sacral", "Spleen"]);
+  assert.deepEqual(centers("19-49"), ["Root", "SolarPlexus"]);
+  assert.equal(GATE_TO_CENTER[12], "Throat");
+  assert.deepEqual(CHANNELS_FULL.filter(c => c.gates.includes(12)).map(c => c.key), ["12-22"]);
+});
+
+test("definition from gates", () => {
+  const { definedChannels, definedCenters } = deriveDefinition([12, 22, 34, 20, 1]);
+  assert.deepEqual(definedChannels, ["12-22", "20-34"]);
+  assert.deepEqual([...definedCenters].sort(), ["Sacral", "SolarPlexus", "Throat"]);
+  const graph = centerGraphFromChannels(definedChannels);
+  assert.equal(computeDefinitionLabel(definedCenters, graph), "Single Definition");
+  assert.deepEqual(computeTypeAuthority(definedCenters, graph), {
+    type: "Manifesting Generator", authority: "Emotional - Solar Plexus", strategy: "To Respond"
+  });
+  assert.equal(computeTypeAuthority([], new Map()).type, "Reflector");
+});
+
+// Reference chart: 1985-06-15 14:30 Europe/Dublin
+const PERSONALITY = [
+  ["Sun", "12.2"], ["Earth", "11.2"], ["Moon", "23.3"], ["Mercury", "52.1"], ["Venus", "24.2"],
+  ["Mars", "52.1"], ["Jupiter", "13.4"], ["Saturn", "43.5"], ["Uranus", "5.5"], ["Neptune", "10.5"],
+  ["Pluto", "28.1"], ["North Node", "2.5"], ["South Node", "1.5"]
+];
+const DESIGN = [
+  ["Sun", "36.5"], ["Earth", "6.5"], ["Moon", "41.5"], ["Mercury", "21.6"], ["Venus", "42.2"],
+  ["Mars", "3.6"], ["Jupiter", "19.1"], ["Saturn", "14.4"], ["Uranus", "26.2"], ["Neptune", "10.6"],
+  ["Pluto", "28.3"], ["North Node", "23.1"], ["South Node", "43.1"]
+];
+
+test("reference chart type, authority and definition", () => {
+  const s = summarizeChart(PERSONALITY, DESIGN);
+  assert.deepEqual(s.definedChannels, ["2-14", "23-43"]);
+  assert.deepEqual([...s.definedCenters].sort(), ["Ajna", "G", "Sacral", "Throat"]);
+  assert.equal(s.type, "Generator");
+  assert.equal(s.authority, "Sacral");
+  assert.equal(s.definition, "Split Definition");
+  assert.equal(s.profile, "2/5");
+});
@@ -0,0 +1,41 @@
+// The 88° solar-arc Design solver (ephemeris.mjs)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import swe from "swisseph";
+import {
+  toJulianDay, calcLon, angDiff, normDeg, solveDesignMoment, findDesignMoment, dateTimeFromJulianDay
+} from "../../lib/hdkit/ephemeris.mjs";
+import { computeChart } from "../../lib/hdkit/chart.mjs";
+
+// Reference chart: 1985-06-15 14:30 Europe/Dublin
+const JD_BIRTH = toJulianDay("1985-06-15", "14:30", "Europe/Dublin");
+
+test("converges to 88° of solar arc within a second", async () => {
+  const steps = [];
+  const r = await solveDesignMoment(JD_BIRTH, 88, "moshier", steps);
+  assert.equal(r.converged, true);
+  assert.ok(r.iterations <= 6, `took ${r.iterations} rounds`);
+  assert.equal(steps.length, r.iterations);
+  assert.ok(Math.abs(r.residualSeconds) < 1, `residual ${r.residualSeconds}s`);
+
+  const sunBirth  = await calcLon(JD_BIRTH, swe.SE_SUN, "moshier");
+  const sunDesign = await calcLon(r.jd, swe.SE_SUN, "moshier");
+  assert.ok(Math.abs(angDiff(normDeg(sunBirth - 88), sunDesign)) < 1e-6);
+});
+
+test("fixed-days profile is a plain offset", async () => {
+  const r = await findDesignMoment(JD_BIRTH, { design: { method: "days", days: 88 } });
+  assert.equal(r.jd, JD_BIRTH - 88);
+  assert.equal(r.converged, true);
+});
+
+test("reference chart designDateUTC", async () => {
+  const chart = await computeChart({ date: "1985-06-15", time: "14:30", tz: "Europe/Dublin" });
+  const got = Date.parse(chart.designDateUTC);
+  const want = Date.parse("1985-03-17T00:53:10Z");
+  assert.ok(Math.abs(got - want) < 1000, `designDateUTC ${chart.designDateUTC}`);
+  assert.equal(chart.designSolver.converged, true);
+  assert.ok(Math.abs(chart.designSolver.residualSeconds) < 1);
+  assert.equal(dateTimeFromJulianDay(JD_BIRTH).toISO(), "1985-06-15T13:30:00.000Z");
+});
@@ -0,0 +1,40 @@
+// Ephemeris table rows, DST stepping and export formats (ephemeris-table.mjs)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { computeEphemerisTable, formatEphemerisTable } from "../../lib/hdkit/ephemeris-table.mjs";
+
+test("daily rows stay at local midnight across the spring-forward change", async () => {
+  const t = await computeEphemerisTable({ from: "2024-03-30", to: "2024-04-01", tz: "Europe/Dublin" });
+  assert.deepEqual(t.rows.map(r => r.time),
+    ["2024-03-30T00:00:00+00:00", "2024-03-31T00:00:00+00:00", "2024-04-01T00:00:00+01:00"]);
+  assert.equal(t.rows[2].utc, "2024-03-31T23:00:00.000Z");
+});
+
+test("the 23-hour day has 23 hourly rows and skips 01:00", async () => {
+  const t = await computeEphemerisTable({ from: "2024-03-31", to: "2024-03-31", step: "hour", tz: "Europe/Dublin" });
+  assert.equal(t.rows.length, 23);
+  assert.equal(t.rows[1].time, "2024-03-31T02:00:00+01:00");
+});
+
+test("gate changes land on the first row in the new gate", async () => {
+  const t = await computeEphemerisTable({ from: "2024-01-22", to: "2024-01-23" });
+  assert.deepEqual(t.rows.map(r => [r.bodies.Sun.gate, r.bodies.Sun.gateChange]), [[60, false], [41, true]]);
+
+  const csv = formatEphemerisTable(t, "csv").split("\n");
+  assert.equal(csv.length, 3);
+  assert.deepEqual(csv[0].split(",").slice(0, 3), ["time", "Sun", "Earth"]);
+  assert.match(csv[2], /Sun →41/);
+
+  const nd = formatEphemerisTable(t, "ndjson").split("\n").map(l => JSON.parse(l));
+  assert.deepEqual(nd, t.rows);
+  assert.equal(formatEphemerisTable(t, "json"), t);
+});
+
+test("bad ranges, steps and formats are INVALID_OPTION", async () => {
+  await assert.rejects(computeEphemerisTable({ from: "2024-02-01", to: "2024-01-01" }),
+    { code: "INVALID_OPTION", field: "to" });
+  await assert.rejects(computeEphemerisTable({ from: "2024-01-01", to: "2024-01-01", step: "week" }),
+    { code: "INVALID_OPTION", field: "step" });
+  assert.throws(() => formatEphemerisTable({ rows: [] }, "xml"), { code: "INVALID_OPTION", field: "format" });
+});
@@ -0,0 +1,23 @@
+// Opt-in extra bodies at the edge of the bundled asteroid file (chart.mjs, ephemeris.mjs)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { computeChart } from "../../lib/hdkit/chart.mjs";
+
+const birth = (date) => ({ date, time: "12:00", tz: "UTC" });
+
+test("Chiron for a Design moment before 1800 is OUT_OF_RANGE, not a crash", async () => {
+  await assert.rejects(
+    computeChart({ ...birth("1800-01-15"), extraBodies: "Chiron" }),
+    { name: "InputError", code: "OUT_OF_RANGE", field: "extraBodies" }
+  );
+});
+
+test("Lilith needs no file, and Chiron works once the Design moment is in 1800", async () => {
+  const lilith = await computeChart({ ...birth("1800-01-15"), extraBodies: "Lilith" });
+  assert.deepEqual(lilith.extraBodies.bodies, ["Lilith"]);
+
+  const chiron = await computeChart({ ...birth("1800-04-15"), extraBodies: "Chiron" });
+  assert.match(chiron.extraBodies.designPlanets[0][1], /^\d+\.\d$/);
+  assert.equal(chiron.extraBodies.includedInDefinition, false);
+});
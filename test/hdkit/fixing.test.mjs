@@ -0,0 +1,53 @@
+// Exaltation / detriment markers (fixing.mjs)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { activationFixing, fixingPlanets, harmonicGate, FIXING_MARKERS } from "../../lib/hdkit/fixing.mjs";
+
+// 1.1 is exalted by the Moon and in detriment by Uranus; 8 is 1's harmonic
+const row = (planet, gate, line = 3) => ({ planet, gate, line });
+
+test("fixing table and harmonics", () => {
+  assert.deepEqual(fixingPlanets(1, 1), { exalting: "Moon", detrimenting: "Uranus" });
+  assert.equal(harmonicGate(1), 8);
+  assert.equal(harmonicGate(41), 30);
+});
+
+test("▲ when the exalting planet is the one in the line", () => {
+  const moon = row("Moon", 1, 1);
+  const f = activationFixing(moon, [[moon, row("Uranus", 50)], []]);
+  assert.equal(f.marker, FIXING_MARKERS.exalted);
+  assert.equal(f.exaltedVia, "planet");
+  assert.equal(f.detriment, false);
+});
+
+test("▼ when the detrimenting planet is the one in the line", () => {
+  const uranus = row("Uranus", 1, 1);
+  const f = activationFixing(uranus, [[uranus, row("Moon", 50)], []]);
+  assert.equal(f.marker, FIXING_MARKERS.detriment);
+  assert.equal(f.detrimentVia, "planet");
+});
+
+test("harmonic fixing from the other side of the chart", () => {
+  const sun = row("Sun", 1, 1);
+  // Design Moon in gate 8 (the harmonic of 1) exalts the Personality Sun at 1.1
+  const f = activationFixing(sun, [[sun, row("Moon", 50), row("Uranus", 50)], [row("Moon", 8)]]);
+  assert.equal(f.marker, FIXING_MARKERS.exalted);
+  assert.equal(f.exaltedVia, "harmonic");
+});
+
+test("✱ when exalted and in detriment at once", () => {
+  const sun = row("Sun", 1, 1);
+  const f = activationFixing(sun, [[sun, row("Moon", 8), row("Uranus", 1, 4)], []]);
+  assert.equal(f.marker, FIXING_MARKERS.juxtaposed);
+  assert.equal(f.exaltedVia, "harmonic");
+  assert.equal(f.detrimentVia, "harmonic");
+});
+
+test("no marker when neither planet reaches the gate", () => {
+  const sun = row("Sun", 1, 1);
+  const f = activationFixing(sun, [[sun, row("Moon", 50), row("Uranus", 50)], []]);
+  assert.equal(f.marker, null);
+  assert.equal(f.exalted, false);
+  assert.equal(f.detriment, false);
+});
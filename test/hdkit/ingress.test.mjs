@@ -0,0 +1,31 @@
+// Gate and line ingress search (ingress.mjs)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseGateTarget, computeIngresses } from "../../lib/hdkit/ingress.mjs";
+
+test("targets parse as gate or gate.line", () => {
+  assert.deepEqual(parseGateTarget("41"), { gate: 41, line: null });
+  assert.deepEqual(parseGateTarget(" 41.3 "), { gate: 41, line: 3 });
+  for (const bad of ["", "0", "65", "41.7", "41.0", "x"]) {
+    assert.throws(() => parseGateTarget(bad), { code: "INVALID_OPTION", field: "gate" }, bad);
+  }
+});
+
+test("the Sun enters 41 on 22 January 2024 and leaves on the 28th", async () => {
+  const r = await computeIngresses({ body: "Sun", target: "41", from: "2024-01-01", to: "2024-02-28" });
+  assert.deepEqual(r.span, { start: 302, end: 307.625 });
+  assert.deepEqual(r.crossings.map(c => [c.event, c.direction, c.boundary]),
+    [["enter", "direct", "start"], ["exit", "direct", "end"]]);
+  assert.match(r.crossings[0].utc, /^2024-01-22T13:17/);
+  assert.match(r.crossings[1].utc, /^2024-01-28T02:0[56]/);
+});
+
+test("local times follow tz; to before from is rejected", async () => {
+  const r = await computeIngresses({ body: "Sun", target: "41", from: "2024-01-20", to: "2024-01-23", tz: "Asia/Tokyo" });
+  assert.equal(r.tz, "Asia/Tokyo");
+  assert.match(r.crossings[0].local, /^2024-01-22T22:17:[\d.]+\+09:00$/);
+
+  await assert.rejects(computeIngresses({ body: "Sun", target: "41", from: "2024-02-01", to: "2024-01-01" }),
+    { code: "INVALID_OPTION", field: "to" });
+});
@@ -0,0 +1,25 @@
+// Calculation profiles and the ephemeris a chart actually used (profiles.mjs, chart.mjs)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { resolveProfile } from "../../lib/hdkit/profiles.mjs";
+import { computeChart } from "../../lib/hdkit/chart.mjs";
+
+test("overrides rename the profile", () => {
+  const p = resolveProfile({ profile: "precise", node: "mean" });
+  assert.equal(p.name, "precise+custom");
+  assert.equal(p.ephemeris, "swiss");
+  assert.equal(p.node, "mean");
+  assert.throws(() => resolveProfile("nope"), { code: "INVALID_OPTION", field: "profile" });
+});
+
+test("ephemerisUsed reports the Moshier fallback outside the Swiss files", async () => {
+  // the Design moment of a January 1800 birth is in 1799, before sepl_18.se1
+  const chart = await computeChart({ date: "1800-01-15", time: "12:00", tz: "UTC", calculation: "precise" });
+  assert.equal(chart.calculation.ephemeris, "swiss");
+  assert.deepEqual(chart.calculation.ephemerisUsed, { personality: "swiss", design: "moshier" });
+
+  const later = await computeChart({ date: "1990-01-15", time: "12:00", tz: "UTC", calculation: "precise", trace: true });
+  assert.deepEqual(later.calculation.ephemerisUsed, { personality: "swiss", design: "swiss" });
+  assert.deepEqual(later.trace.calculation.ephemerisUsed, later.calculation.ephemerisUsed);
+});
@@ -0,0 +1,39 @@
+// Birth-time rectification from known chart facts (rectify.mjs)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildChecks, rectifyBirthTime } from "../../lib/hdkit/rectify.mjs";
+
+test("facts become checks; aliases and reversed channel keys normalize", () => {
+  const checks = buildChecks({ profile: "2/5", definedCenters: "emotional, sacral", definedChannels: ["43-23"] });
+  assert.deepEqual(checks.map(c => c.fact),
+    ["profile", "defined:SolarPlexus", "defined:Sacral", "channel:23-43"]);
+});
+
+test("partial facts match by substring, exact ones do not", () => {
+  const [type, authority] = buildChecks({ authority: "emotional", type: "generator" });
+  assert.ok(authority.test({ authority: "Emotional - Solar Plexus" }));
+  assert.ok(!type.test({ type: "Manifesting Generator" }));
+  assert.ok(type.test({ type: "Generator" }));
+});
+
+test("no facts or unknown names are input errors", () => {
+  assert.throws(() => buildChecks({}), { code: "MISSING_FIELD", field: "facts" });
+  assert.throws(() => buildChecks({ definedChannels: "1-2" }), { code: "INVALID_OPTION", field: "facts" });
+  assert.throws(() => buildChecks({ definedCenters: "Liver" }), { code: "INVALID_OPTION", field: "facts" });
+});
+
+test("windows are ranked by facts matched, then length", async () => {
+  const r = await rectifyBirthTime({
+    date: "1985-06-15", from: "12:00", to: "18:00", tz: "Europe/Dublin",
+    facts: { profile: "2/5", definedChannels: "23-43" }, stepMinutes: 30
+  });
+  assert.deepEqual(r.windows.map(w => [w.from.time, w.to.time, w.score, w.matchesAll]), [
+    ["14:21:50", "17:30:15", 2, true],
+    ["12:00:00", "14:21:50", 1, false],
+    ["17:30:15", "18:00:00", 1, false]
+  ]);
+  assert.deepEqual(r.windows[0].matched, ["profile", "channel:23-43"]);
+  assert.equal(r.windows[1].mismatched[0].fact, "profile");
+  assert.ok(Math.abs(r.matchingMinutes - 188.4) < 0.1);
+});
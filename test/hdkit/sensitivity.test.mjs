@@ -0,0 +1,38 @@
+// Birth-time sensitivity sweep and its time stamps (sensitivity.mjs)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { julianWindow, timeStamp, minutesBetween, computeTimeSensitivity } from "../../lib/hdkit/sensitivity.mjs";
+
+test("a 24:00 window end is the next midnight, stamped 24:00:00", () => {
+  const [start, end] = julianWindow("1985-06-15", "00:00", "24:00", "Europe/Dublin");
+  assert.equal(minutesBetween(start, end), 1440);
+  assert.deepEqual(timeStamp(end, "Europe/Dublin", "1985-06-15"),
+    { time: "24:00:00", utc: "1985-06-15T23:00:00.000Z" });
+  assert.equal(timeStamp(end, "Europe/Dublin").time, "00:00:00");   // no window date, no 24:00
+  assert.equal(timeStamp(start, "Europe/Dublin", "1985-06-15").time, "00:00:00");
+});
+
+test("the spring-forward day is 23 hours long", () => {
+  const [start, end] = julianWindow("2024-03-31", "00:00", "24:00", "Europe/Dublin");
+  assert.equal(minutesBetween(start, end), 1380);
+});
+
+test("bad windows are input errors", () => {
+  assert.throws(() => julianWindow("1985-06-15", "25:00", "24:00", "UTC"), { code: "INVALID_TIME", field: "from" });
+  assert.throws(() => julianWindow("1985-02-30", "00:00", "24:00", "UTC"), { code: "INVALID_DATE" });
+});
+
+test("full-day report: 24:00 end, ranges cover the window, transitions inside it", async () => {
+  const r = await computeTimeSensitivity({ date: "1985-06-15", tz: "Europe/Dublin", stepMinutes: 30 });
+  assert.equal(r.window.from.time, "00:00:00");
+  assert.equal(r.window.to.time, "24:00:00");
+  assert.equal(r.ranges.at(-1).to.time, "24:00:00");
+  assert.equal(r.ranges[0].from.time, "00:00:00");
+  assert.ok(Math.abs(r.ranges.reduce((sum, x) => sum + x.minutes, 0) - 1440) < 0.5);
+
+  // the Moon changes line every couple of hours, so the day is never one range
+  assert.ok(r.transitions.length > 0);
+  assert.ok(r.changingActivations.some(a => a.planet === "Moon"));
+  for (const t of r.transitions) assert.ok(t.time > "00:00:00" && t.time < "24:00:00", t.time);
+});
@@ -0,0 +1,35 @@
+// Birth zone resolution and local time → Julian day (timezone.mjs, ephemeris.mjs)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { resolveTimezone } from "../../lib/hdkit/timezone.mjs";
+import { toJulianDay, dateTimeFromJulianDay } from "../../lib/hdkit/ephemeris.mjs";
+
+test("explicit zone wins, then coordinates, then the place name", () => {
+  assert.deepEqual(resolveTimezone({ tz: "Asia/Tokyo", lat: 53.35, lng: -6.26, place: "Dublin" }),
+    { zone: "Asia/Tokyo", source: "tz" });
+  assert.deepEqual(resolveTimezone({ lat: 53.35, lng: -6.26, place: "Tokyo" }),
+    { zone: "Europe/Dublin", source: "coordinates" });
+  assert.deepEqual(resolveTimezone({ place: "Dublin" }), { zone: "Europe/Dublin", source: "place" });
+});
+
+test("typed errors", () => {
+  assert.throws(() => resolveTimezone({}), { code: "ZONE_REQUIRED" });
+  assert.throws(() => resolveTimezone({ tz: "Mars/Olympus" }), { code: "UNKNOWN_ZONE", field: "tz" });
+  assert.throws(() => resolveTimezone({ place: "Nowhereville Qq" }), { code: "UNKNOWN_PLACE", field: "place" });
+  assert.throws(() => resolveTimezone({ lat: 95, lng: 0 }), { code: "INVALID_COORDINATES", field: "lat" });
+});
+
+const utc = (date, time, zone) => dateTimeFromJulianDay(toJulianDay(date, time, zone)).toISO();
+
+test("historical offsets come from the zone's rules", () => {
+  assert.equal(utc("1985-06-15", "14:30", "Europe/Dublin"), "1985-06-15T13:30:00.000Z");   // IST
+  assert.equal(utc("1985-01-15", "14:30", "Europe/Dublin"), "1985-01-15T14:30:00.000Z");   // GMT
+});
+
+test("a local time in the spring-forward gap moves forward an hour", () => {
+  // 01:00–02:00 does not exist in Dublin on 2024-03-31; 01:30 reads as 02:30 IST
+  assert.equal(utc("2024-03-31", "01:30", "Europe/Dublin"), "2024-03-31T01:30:00.000Z");
+  assert.equal(utc("2024-03-31", "02:30", "Europe/Dublin"), "2024-03-31T01:30:00.000Z");
+  assert.equal(utc("2024-03-31", "00:30", "Europe/Dublin"), "2024-03-31T00:30:00.000Z");
+});
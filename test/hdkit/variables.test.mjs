@@ -0,0 +1,32 @@
+// The four Variables (variables.mjs)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { orientationFromTone, computeVariables } from "../../lib/hdkit/variables.mjs";
+
+const act = (planet, color, tone) => ({ planet, color, tone });
+
+test("tones 1–3 point left, 4–6 right", () => {
+  assert.deepEqual([1, 2, 3, 4, 5, 6].map(orientationFromTone),
+    ["Left", "Left", "Left", "Right", "Right", "Right"]);
+});
+
+test("arrows, color names and notation", () => {
+  const v = computeVariables(
+    [act("Sun", 2, 5), act("North Node", 6, 1)],   // personality
+    [act("Sun", 1, 3), act("North Node", 4, 6)]    // design
+  );
+  assert.deepEqual(v.determination, {
+    arrow: "top-left", source: "Design Sun", orientation: "Left", color: 1, colorName: "Appetite", tone: 3
+  });
+  assert.equal(v.environment.colorName, "Mountains");
+  assert.equal(v.motivation.colorName, "Hope");
+  assert.equal(v.perspective.colorName, "Personal");
+  assert.equal(v.notation, "PRL DLR");
+});
+
+test("a missing activation leaves its arrow null", () => {
+  const v = computeVariables([act("Sun", 1, 1)], []);
+  assert.equal(v.determination, null);
+  assert.equal(v.notation, "PL? D??");
+});